@@ -26,7 +26,7 @@ function loadConfig() {
 
 // Build the "dist" folder by running all of the below tasks
 gulp.task('build',
- gulp.series(clean, gulp.parallel(pages, sass, foundationJS, javascript, images, copy), styleGuide));
+ gulp.series(clean, gulp.parallel(pages, sass, foundationJS, javascript, images, data, copy), styleGuide));
 
 // Build the site, run the server, and watch for file changes
 gulp.task('default',
@@ -129,6 +129,12 @@ function images() {
     .pipe(gulp.dest(PATHS.dist + '/assets/img'));
 }
 
+// Copy the game data (levels and such) to the "dist" folder so the game can load it
+function data() {
+  return gulp.src('src/data/**/*.json')
+    .pipe(gulp.dest(PATHS.dist + '/assets/data'));
+}
+
 // Start a server with BrowserSync to preview the site in
 function server(done) {
   browser.init({
@@ -151,5 +157,6 @@ function watch() {
   gulp.watch('src/assets/scss/**/*.scss').on('all', gulp.series(sass, browser.reload));
   gulp.watch('src/assets/js/**/*.js').on('all', gulp.series(javascript, browser.reload));
   gulp.watch('src/assets/img/**/*').on('all', gulp.series(images, browser.reload));
+  gulp.watch('src/data/**/*').on('all', gulp.series(resetPages, pages, data, browser.reload));
   gulp.watch('src/styleguide/**').on('all', gulp.series(styleGuide, browser.reload));
 }
@@ -0,0 +1,110 @@
+'use strict';
+
+/* Headless.js
+ * Runs the game simulation in Node without a browser. The game scripts are
+ * plain browser scripts that share globals, so they're loaded into their own
+ * sandbox the same way the bundled indieboxer.js loads them on the page.
+ *
+ *   var headless = require('./lib/headless');
+ *   var game = headless.createSimulation({ seed: 42 });
+ *   game.input('up');
+ *   game.step();
+ *   game.getState();
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// The game scripts that don't need a canvas or DOM, in load order
+var SCRIPTS = [
+  'src/assets/js/random.js',
+  'src/assets/js/clock.js',
+  'src/assets/js/app.js',
+  'src/assets/js/lanes.js',
+  'src/assets/js/collectibles.js',
+  'src/assets/js/board.js',
+  'src/assets/js/level.js',
+  'src/assets/js/character.js',
+  'src/assets/js/simulation.js',
+  'src/assets/js/replay.js'
+];
+
+var root = path.join(__dirname, '..');
+
+// The level and character definitions the game ships with
+var LEVELS = 'src/data/levels.json';
+var CHARACTERS = 'src/data/characters.json';
+
+// Silences the game's own logging, handy for bots running many games
+var quietConsole = {
+  log: function() {},
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+};
+
+/* Load the game scripts into a new sandbox and return its globals
+ * (Simulation, Replay, ReplayPlayer, Player, Enemy, Random and so on).
+ * Options: quiet - don't let the game write to the console, scripts - more
+ * game scripts to load after these, any that don't need a page when loaded.
+ */
+function load(options) {
+  options = options || {};
+
+  var sandbox = vm.createContext({
+    console: options.quiet ? quietConsole : console
+  });
+
+  SCRIPTS.concat(options.scripts || []).forEach(function(script) {
+    var file = path.join(root, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+  });
+
+  return sandbox;
+}
+
+// Read and parse a levels file, the shipped levels.json by default
+function loadLevels(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(root, file || LEVELS), 'utf8'));
+}
+
+// Read and parse a characters file, the shipped characters.json by default
+function loadCharacters(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(root, file || CHARACTERS), 'utf8'));
+}
+
+/* Load the game and create a new Simulation with the given options, using
+ * the shipped levels unless options.levels is given. options.character can
+ * be the id of one of the shipped characters, and so can each of
+ * options.characters for two player games.
+ */
+function createSimulation(options) {
+  options = options || {};
+
+  var game = load(options);
+
+  if(!options.levels) {
+    options.levels = loadLevels();
+  }
+  if(typeof options.character === 'string') {
+    options.character = game.Character.find(game.Character.loadAll(loadCharacters()), options.character);
+  }
+  if(options.characters) {
+    options.characters = options.characters.map(function(character) {
+      if(typeof character !== 'string') {
+        return character;
+      }
+      return game.Character.find(game.Character.loadAll(loadCharacters()), character);
+    });
+  }
+  return new game.Simulation(options);
+}
+
+module.exports = {
+  SCRIPTS: SCRIPTS,
+  load: load,
+  loadLevels: loadLevels,
+  loadCharacters: loadCharacters,
+  createSimulation: createSimulation
+};
@@ -0,0 +1,416 @@
+'use strict';
+
+/* Server.js
+ * A small game server for playing with friends over the network. It runs
+ * the real Simulation (see headless.js) for every game so what happens is
+ * decided in one place, the players' browsers only send their moves and
+ * draw the states they get back.
+ *
+ *   node lib/server.js --port 8081
+ *
+ * It only listens on localhost unless it's given another --host. Messages
+ * both ways are JSON objects with a type:
+ *
+ *   Browser to server:
+ *     { type: 'rooms' }                                        - list the rooms
+ *     { type: 'join', room, name, character, mode }            - join a room, making it if need be
+ *     { type: 'start' }                                        - start the room's game, first player only
+ *     { type: 'input', direction }                             - move while the game is going
+ *     { type: 'leave' }                                        - leave the room
+ *
+ *   Server to browser:
+ *     { type: 'rooms', rooms: [{ name, mode, players, playing }] }
+ *     { type: 'room', room: { name, mode, players: [{ name, character }], playing }, player }
+ *     { type: 'start', seed, players: [character ids], mode, player }
+ *     { type: 'state', state }                                 - from Simulation.getState()
+ *     { type: 'event', event }                                 - something to play a sound for
+ *     { type: 'ended', results }                               - the game is over
+ *     { type: 'error', message }
+ *
+ * A room takes as many players as a two player game and is played in the
+ * mode it was made with, or single player when only one player starts it.
+ */
+
+var WebSocket = require('ws');
+var headless = require('./headless');
+
+// Where the server listens unless told otherwise
+var DEFAULT_PORT = 8081;
+var DEFAULT_HOST = 'localhost';
+
+// How often rooms run their game and send out its state, in milliseconds
+var TICK = 50;
+
+// Simulation events the browsers play sounds for
+var EVENTS = ['pickup', 'delivered', 'ranover', 'hit', 'collect', 'shortcut', 'level', 'gameover'];
+
+// The longest name a player can go by
+var NAME_LENGTH = 12;
+
+/* A room a few players share, and the game they play in it once the first
+ * player to join starts it.
+ * Parameter: mode, how two players play together, 'versus' or 'coop'
+ */
+var Room = function(server, name, mode) {
+  this.server = server;
+  this.name = name;
+  this.mode = mode === 'coop' ? 'coop' : 'versus';
+  this.clients = []; // the players' connections, in player order
+  this.game = null; // the Simulation while a game is going
+  this.timer = null;
+  this.lastTick = 0;
+};
+
+Room.prototype.isFull = function() {
+  return this.clients.length >= this.server.globals.Simulation.MODES[this.mode].players;
+};
+
+// The room as listed in the lobby and sent to the players in it
+Room.prototype.describe = function() {
+  return {
+    name: this.name,
+    mode: this.mode,
+    players: this.clients.map(function(client) {
+      return { name: client.name, character: client.character };
+    }),
+    playing: !!this.game
+  };
+};
+
+Room.prototype.add = function(client) {
+  this.clients.push(client);
+  client.room = this;
+  this.changed();
+};
+
+/* Take a player out of the room, a game they were playing in ends. Only the
+ * players left are told who's in the room now, the one leaving has moved on.
+ */
+Room.prototype.remove = function(client) {
+  var index = this.clients.indexOf(client);
+
+  if(index === -1) {
+    return;
+  }
+  if(this.game) {
+    this.finish(client.name + ' left');
+  }
+  this.clients.splice(index, 1);
+  client.room = null;
+  this.changed();
+};
+
+// Let everyone in the room know who's in it now
+Room.prototype.changed = function() {
+  var room = this.describe();
+
+  this.clients.forEach(function(client, index) {
+    client.send({ type: 'room', room: room, player: index });
+  });
+  this.server.roomsChanged(this);
+};
+
+// Start a game for everyone in the room
+Room.prototype.start = function() {
+  var globals = this.server.globals,
+      room = this,
+      characters = this.clients.map(function(client) {
+        return globals.Character.find(room.server.characters, client.character);
+      }),
+      mode = characters.length > 1 ? this.mode : 'single',
+      game;
+
+  game = this.game = new globals.Simulation({
+    seed: globals.Random.createSeed(),
+    levels: this.server.levels,
+    characters: characters,
+    mode: mode
+  });
+
+  EVENTS.forEach(function(event) {
+    game.on(event, function() {
+      room.broadcast({ type: 'event', event: event });
+    });
+  });
+  game.on('gameover', function() {
+    room.finish();
+    room.changed();
+  });
+
+  this.clients.forEach(function(client, index) {
+    client.send({
+      type: 'start',
+      seed: game.seed,
+      players: characters.map(function(character) {
+        return character.id;
+      }),
+      mode: mode,
+      player: index
+    });
+  });
+  this.broadcast({ type: 'state', state: game.getState() });
+
+  this.lastTick = Date.now();
+  this.timer = setInterval(this.tick.bind(this), TICK);
+  this.changed();
+};
+
+// Run the game on by the time that's passed and send everyone where things are
+Room.prototype.tick = function() {
+  var now = Date.now();
+
+  this.game.advance((now - this.lastTick) / 1000);
+  this.lastTick = now;
+  if(this.game) {
+    this.broadcast({ type: 'state', state: this.game.getState() });
+  }
+};
+
+// A move from one of the players
+Room.prototype.input = function(client, direction) {
+  if(this.game && ['left', 'up', 'right', 'down'].indexOf(direction) !== -1) {
+    this.game.input(direction, this.clients.indexOf(client));
+  }
+};
+
+/* End the game and send everyone how it went, reason is set when it ended
+ * early. Whoever ended it lets the lobby know the room is free again.
+ */
+Room.prototype.finish = function(reason) {
+  var game = this.game,
+      results,
+      ranked;
+
+  if(!game) {
+    return;
+  }
+  clearInterval(this.timer);
+  this.timer = null;
+  this.game = null;
+
+  results = {
+    reason: reason || null,
+    mode: game.mode,
+    points: game.points,
+    saved: 0,
+    level: game.player.level,
+    time: game.time,
+    players: game.players.map(function(player, index) {
+      return {
+        name: this.clients[index] ? this.clients[index].name : 'P' + (index + 1),
+        points: player.points,
+        saved: player.deliveries.length
+      };
+    }, this)
+  };
+  results.players.forEach(function(player) {
+    results.saved += player.saved;
+  });
+  // Versus games are won by whoever scored the most, null for a draw
+  if(game.mode === 'versus') {
+    ranked = results.players.slice().sort(function(a, b) {
+      return b.points - a.points;
+    });
+    results.points = ranked[0].points;
+    results.winner = ranked[0].points > ranked[1].points ? ranked[0].name : null;
+  }
+
+  this.broadcast({ type: 'state', state: game.getState() });
+  this.broadcast({ type: 'ended', results: results });
+};
+
+Room.prototype.broadcast = function(message) {
+  this.clients.forEach(function(client) {
+    client.send(message);
+  });
+};
+
+/* One browser connected to the server. It's in the lobby until it joins a
+ * room.
+ */
+var Client = function(server, socket) {
+  this.server = server;
+  this.socket = socket;
+  this.name = null;
+  this.character = null;
+  this.room = null;
+};
+
+Client.prototype.send = function(message) {
+  if(this.socket.readyState === WebSocket.OPEN) {
+    this.socket.send(JSON.stringify(message));
+  }
+};
+
+Client.prototype.error = function(message) {
+  this.send({ type: 'error', message: message });
+};
+
+// Handle a message from the browser
+Client.prototype.receive = function(data) {
+  var message;
+
+  try {
+    message = JSON.parse(String(data));
+  } catch(err) {
+    return this.error('Messages have to be JSON');
+  }
+  if(!message || typeof message !== 'object') {
+    return this.error('Messages have to be JSON objects');
+  }
+
+  switch(message.type) {
+    case 'rooms':
+      this.send({ type: 'rooms', rooms: this.server.listRooms() });
+      break;
+    case 'join':
+      this.join(message);
+      break;
+    case 'start':
+      if(!this.room || this.room.clients[0] !== this) {
+        this.error('Only the first player in a room can start it');
+      } else if(this.room.game) {
+        this.error('The game has already started');
+      } else {
+        this.room.start();
+      }
+      break;
+    case 'input':
+      if(this.room) {
+        this.room.input(this, message.direction);
+      }
+      break;
+    case 'leave':
+      this.leave();
+      break;
+    default:
+      this.error('Unknown message type "' + message.type + '"');
+  }
+};
+
+// Move to another room, a player turned away from it stays where they were
+Client.prototype.join = function(message) {
+  var name = String(message.room || 'lobby').trim().slice(0, 24) || 'lobby',
+      room = this.server.rooms[name];
+
+  if(room && room !== this.room) {
+    if(room.isFull()) {
+      return this.error('Room "' + name + '" is full');
+    }
+    if(room.game) {
+      return this.error('Room "' + name + '" is in the middle of a game');
+    }
+  }
+
+  this.leave();
+  this.name = String(message.name || '').trim().slice(0, NAME_LENGTH) || 'Player';
+  this.character = String(message.character || '');
+  (this.server.rooms[name] || this.server.createRoom(name, message.mode)).add(this);
+};
+
+Client.prototype.leave = function() {
+  if(this.room) {
+    this.room.remove(this);
+  }
+};
+
+/* The server itself, looking after the rooms and everyone connected.
+ * Options: port, host - where to listen, levels, characters - parsed level
+ * and character files, the shipped ones by default.
+ */
+var GameServer = function(options) {
+  options = options || {};
+
+  this.globals = headless.load({ quiet: options.quiet });
+  this.levels = this.globals.Level.loadAll(options.levels || headless.loadLevels());
+  this.characters = this.globals.Character.loadAll(options.characters || headless.loadCharacters());
+  this.rooms = Object.create(null); // by name, with no prototype so a room called "constructor" is just a room
+  this.clients = [];
+
+  this.socketServer = new WebSocket.Server({
+    port: options.port === undefined ? DEFAULT_PORT : options.port,
+    host: options.host || DEFAULT_HOST
+  });
+  this.socketServer.on('connection', this.connect.bind(this));
+};
+
+GameServer.prototype.connect = function(socket) {
+  var server = this,
+      client = new Client(this, socket);
+
+  this.clients.push(client);
+  socket.on('message', function(data) {
+    client.receive(data);
+  });
+  socket.on('close', function() {
+    client.leave();
+    server.clients.splice(server.clients.indexOf(client), 1);
+  });
+  client.send({ type: 'rooms', rooms: this.listRooms() });
+};
+
+GameServer.prototype.createRoom = function(name, mode) {
+  return (this.rooms[name] = new Room(this, name, mode));
+};
+
+GameServer.prototype.listRooms = function() {
+  var rooms = this.rooms;
+  return Object.keys(rooms).map(function(name) {
+    var room = rooms[name].describe();
+    room.players = room.players.length;
+    return room;
+  });
+};
+
+// Empty rooms go away, and everyone in the lobby hears about the change
+GameServer.prototype.roomsChanged = function(room) {
+  var rooms;
+
+  if(room.clients.length === 0) {
+    delete this.rooms[room.name];
+  }
+  rooms = this.listRooms();
+  this.clients.forEach(function(client) {
+    if(!client.room) {
+      client.send({ type: 'rooms', rooms: rooms });
+    }
+  });
+};
+
+// The port the server ended up on, handy when it was started on port 0
+GameServer.prototype.port = function() {
+  return this.socketServer.address().port;
+};
+
+GameServer.prototype.close = function(callback) {
+  Object.keys(this.rooms).forEach(function(name) {
+    this.rooms[name].finish('The server closed');
+  }, this);
+  this.clients.forEach(function(client) {
+    client.socket.close();
+  });
+  this.socketServer.close(callback);
+};
+
+module.exports = {
+  DEFAULT_PORT: DEFAULT_PORT,
+  GameServer: GameServer,
+  Room: Room
+};
+
+// Run it from the command line, --port and --host pick where it listens
+if(require.main === module) {
+  var args = process.argv.slice(2),
+      option = function(name) {
+        var index = args.indexOf('--' + name);
+        return index === -1 ? undefined : args[index + 1];
+      },
+      server = new GameServer({
+        port: option('port') === undefined ? DEFAULT_PORT : Number(option('port')),
+        host: option('host')
+      });
+
+  server.socketServer.on('listening', function() {
+    console.log('IndieBoxer server listening on ws://' + (option('host') || DEFAULT_HOST) + ':' + server.port());
+  });
+}
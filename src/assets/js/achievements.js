@@ -0,0 +1,267 @@
+/* Achievements.js
+ * Goals for the player to work towards, on top of the points. Everything
+ * worth rewarding already goes out as a Simulation event (see
+ * simulation.js): deliveries, hearts, levels, shortcuts and every second of
+ * game time. Each achievement is defined once with Achievements.define(),
+ * with the event it listens for and, if not every one counts, which ones do:
+ *
+ *   Achievements.define('express', {
+ *     title: 'Overnight Shipping',
+ *     description: 'Deliver an express box',
+ *     event: 'delivered',
+ *     check: function(game, box) { return box.boxType.name === 'express'; }
+ *   });
+ *
+ * Like the high scores, which achievements are unlocked is kept by a storage
+ * adapter (see highscores.js), by default the browser's localStorage, and
+ * they're listed on the achievements page (achievements.html).
+ */
+var Achievements = function(options) {
+  options = options || {};
+  this.storage = options.storage || HighScores.defaultStorage('indieboxer.achievements');
+  this.saved = {}; // what's kept by id, { id, count, unlocked }, unlocked being a date
+  this.counts = {}; // counts towards achievements that start over every game
+  this.listeners = {};
+};
+
+// Every achievement by id, and their ids in the order they're listed
+Achievements.DEFINITIONS = {};
+Achievements.ORDER = [];
+
+/* Add an achievement. An achievement has:
+ *
+ *   title       - its name for the toast and the achievements page
+ *   description - what it takes
+ *   event       - the Simulation event that counts towards it
+ *   check       - function(game, ...) called with the event's arguments,
+ *                 returns true if it counts, every one counts without it
+ *   count       - how many times it has to count, 1 by default
+ *   career      - keep counting over every game played rather than
+ *                 starting over each game
+ */
+Achievements.define = function(id, definition) {
+  if(!Achievements.DEFINITIONS[id]) {
+    Achievements.ORDER.push(id);
+  }
+  definition.id = id;
+  definition.count = definition.count || 1;
+  Achievements.DEFINITIONS[id] = definition;
+};
+
+Achievements.define('first-delivery', {
+  title: 'Special Delivery',
+  description: 'Deliver your first box',
+  event: 'delivered'
+});
+
+Achievements.define('perfect-delivery', {
+  title: 'Not A Scratch',
+  description: 'Deliver a box that was never run over',
+  event: 'delivered',
+  check: function(game, box) {
+    return box.ranOver === 0;
+  }
+});
+
+Achievements.define('perfect-ten', {
+  title: 'Handle With Care',
+  description: 'Make 10 perfect deliveries in one game',
+  event: 'delivered',
+  count: 10,
+  check: function(game, box) {
+    return box.ranOver === 0;
+  }
+});
+
+Achievements.define('express', {
+  title: 'Overnight Shipping',
+  description: 'Deliver an express box',
+  event: 'delivered',
+  check: function(game, box) {
+    return box.boxType.name === 'express';
+  }
+});
+
+Achievements.define('heart', {
+  title: 'Heartfelt',
+  description: 'Pick up a heart',
+  event: 'heart'
+});
+
+Achievements.define('shortcut', {
+  title: 'Secret Passage',
+  description: 'Take a level\'s shortcut',
+  event: 'shortcut'
+});
+
+Achievements.define('clean-five', {
+  title: 'Nothing Lost',
+  description: 'Reach level 5 without losing a box',
+  event: 'level',
+  check: function(game, number) {
+    return number >= 5 && game.boxesLost.length === 0;
+  }
+});
+
+Achievements.define('survivor', {
+  title: 'Survivor',
+  description: 'Survive 5 minutes',
+  event: 'second',
+  check: function(game, seconds) {
+    return seconds >= 300;
+  }
+});
+
+Achievements.define('hundred', {
+  title: 'Warehouse',
+  description: 'Deliver 100 boxes over all your games',
+  event: 'delivered',
+  count: 100,
+  career: true
+});
+
+Achievements.prototype.on = function(event, callback) {
+  (this.listeners[event] = this.listeners[event] || []).push(callback);
+  return this;
+};
+
+Achievements.prototype.emit = function(event) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  (this.listeners[event] || []).forEach(function(callback) {
+    callback.apply(null, args);
+  });
+};
+
+// Load what's been unlocked so far, callback(err) is optional
+Achievements.prototype.load = function(callback) {
+  var achievements = this;
+  this.storage.load(function(err, saved) {
+    if(!err) {
+      achievements.saved = {};
+      (saved || []).forEach(function(entry) {
+        achievements.saved[entry.id] = entry;
+      });
+    }
+    if(callback) {
+      callback(err);
+    }
+  });
+};
+
+Achievements.prototype.save = function(callback) {
+  var saved = this.saved;
+  this.storage.save(Object.keys(saved).map(function(id) {
+    return saved[id];
+  }), function(err) {
+    if(callback) {
+      callback(err);
+    }
+  });
+};
+
+/* Count a game's events towards the achievements. Only the live game should
+ * be tracked, replays would unlock things over again.
+ */
+Achievements.prototype.track = function(game) {
+  var achievements = this,
+      events = [];
+
+  Achievements.ORDER.forEach(function(id) {
+    var event = Achievements.DEFINITIONS[id].event;
+    if(events.indexOf(event) === -1) {
+      events.push(event);
+    }
+  });
+  events.forEach(function(event) {
+    game.on(event, function() {
+      achievements.handle(event, game, Array.prototype.slice.call(arguments));
+    });
+  });
+  game.on('reset', function() {
+    achievements.counts = {};
+  });
+};
+
+// Count an event towards every achievement still locked that listens for it
+Achievements.prototype.handle = function(event, game, args) {
+  var changed = false;
+
+  Achievements.ORDER.forEach(function(id) {
+    var definition = Achievements.DEFINITIONS[id],
+        entry = this.entry(id),
+        count;
+
+    if(definition.event !== event || entry.unlocked ||
+       (definition.check && !definition.check.apply(null, [game].concat(args)))) {
+      return;
+    }
+    if(definition.career) {
+      count = entry.count += 1;
+      changed = true;
+    } else {
+      count = this.counts[id] = (this.counts[id] || 0) + 1;
+    }
+    if(count >= definition.count) {
+      this.unlock(id);
+    }
+  }, this);
+
+  // Career progress is kept as it goes, unlocking saves on its own
+  if(changed) {
+    this.save(this.reportError);
+  }
+};
+
+// What's kept for an achievement, made the first time it's needed
+Achievements.prototype.entry = function(id) {
+  return (this.saved[id] = this.saved[id] || { id: id, count: 0, unlocked: null });
+};
+
+Achievements.prototype.unlock = function(id) {
+  var entry = this.entry(id);
+
+  if(entry.unlocked) {
+    return;
+  }
+  entry.unlocked = new Date().toISOString();
+  this.save(this.reportError);
+  this.emit('unlock', Achievements.DEFINITIONS[id]);
+};
+
+Achievements.prototype.reportError = function(err) {
+  if(err) {
+    console.error('Could not save achievements: ' + err.message);
+  }
+};
+
+Achievements.prototype.isUnlocked = function(id) {
+  return !!(this.saved[id] && this.saved[id].unlocked);
+};
+
+/* Every achievement for the achievements page, in order, with how far along
+ * it is: progress counts towards count, unlocked is the date it was
+ * unlocked or null.
+ */
+Achievements.prototype.list = function() {
+  return Achievements.ORDER.map(function(id) {
+    var definition = Achievements.DEFINITIONS[id],
+        entry = this.saved[id] || {};
+
+    return {
+      id: id,
+      title: definition.title,
+      description: definition.description,
+      count: definition.count,
+      progress: entry.unlocked ? definition.count :
+        (definition.career ? entry.count || 0 : this.counts[id] || 0),
+      unlocked: entry.unlocked || null
+    };
+  }, this);
+};
+
+// Lock everything again
+Achievements.prototype.clear = function(callback) {
+  this.saved = {};
+  this.counts = {};
+  this.save(callback);
+};
@@ -0,0 +1,365 @@
+/* Animation.js
+ * Makes the board look alive without changing the game. The Simulation only
+ * knows which tile things are on, so whatever it moves jumps there: boxes
+ * turning up somewhere new, the goal moving after a delivery, hearts
+ * appearing out of nowhere. An Animator watches a game and smooths those
+ * jumps over with tweens, and adds effects for what happens in it: boxes
+ * squash when they're run over, players flash while they can't be hit and
+ * the goal celebrates a delivery. Enemy types with frames (see level.js)
+ * are animated through them.
+ *
+ * Everything moves on the dt the engine hands update() every frame rather
+ * than the clock, so animations stop while the game is paused and keep up
+ * with a replay played fast. Entities are drawn through draw(), which sets
+ * the canvas up for how they look right now:
+ *
+ *   animator.watch(game);
+ *   animator.update(dt);
+ *   animator.draw(box, box.render);
+ */
+
+// How far along an animation looks, given how far along (0 to 1) it is
+var Easing = {
+  linear: function(t) {
+    return t;
+  },
+  inQuad: function(t) {
+    return t * t;
+  },
+  outQuad: function(t) {
+    return t * (2 - t);
+  },
+  inOutQuad: function(t) {
+    return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+  },
+  // Goes a little past the end, then settles back
+  outBack: function(t) {
+    var s = 1.70158;
+    return 1 + (s + 1) * Math.pow(t - 1, 3) + s * Math.pow(t - 1, 2);
+  }
+};
+
+// A number going from one value to another over some seconds
+// Parameter: easing, one of the Easing functions, linear by default
+var Tween = function(from, to, duration, easing) {
+  this.from = from;
+  this.to = to;
+  this.duration = duration;
+  this.easing = easing || Easing.linear;
+  this.elapsed = 0;
+};
+
+// Move the tween on, returns true once it's done
+Tween.prototype.update = function(dt) {
+  this.elapsed = Math.min(this.duration, this.elapsed + dt);
+  return this.done();
+};
+
+Tween.prototype.done = function() {
+  return this.elapsed >= this.duration;
+};
+
+// How far along it is, from 0 to 1, before easing
+Tween.prototype.progress = function() {
+  return this.duration > 0 ? this.elapsed / this.duration : 1;
+};
+
+Tween.prototype.value = function() {
+  return this.from + (this.to - this.from) * this.easing(this.progress());
+};
+
+/* Frames shown one after another, fps times a second, over and over. The
+ * frames are images, separate ones or cut from a sheet with
+ * Resources.loadAtlas().
+ */
+var SpriteAnimation = function(frames, fps) {
+  this.frames = frames;
+  this.fps = fps;
+  this.time = 0;
+};
+
+SpriteAnimation.prototype.update = function(dt) {
+  this.time += dt;
+};
+
+SpriteAnimation.prototype.frame = function() {
+  return this.frames[Math.floor(this.time * this.fps) % this.frames.length];
+};
+
+var Animator = function() {
+  this.game = null; // the game being animated
+  this.watched = []; // every game it's listening to
+  this.looks = []; // how each entity looks, { entity, x, y, effects, animation }
+  this.bursts = []; // sprites left behind to grow and fade, { sprite, x, y, tween }
+  this.settling = true; // take the board as it is on the next update, without animating it
+};
+
+/* The effects entities can play. Each runs a tween from 0 to 1 over its
+ * duration and returns the changes to how the entity looks part of the way
+ * through: scaleX, scaleY, alpha and x, y offsets in tiles.
+ */
+Animator.EFFECTS = {
+  // Squashed flat for a moment, like a box being run over
+  squash: {
+    duration: 0.35,
+    look: function(t) {
+      var squash = Math.sin(t * Math.PI);
+      return { scaleX: 1 + 0.3 * squash, scaleY: 1 - 0.4 * squash };
+    }
+  },
+  // Blinking, like a player who can't be hit for a bit
+  flash: {
+    duration: 1,
+    look: function(t, effect) {
+      return { alpha: Math.floor(effect.tween.elapsed * 10) % 2 ? 0.3 : 1 };
+    }
+  },
+  // Grows in from nothing, for things turning up on the board
+  pop: {
+    duration: 0.4,
+    easing: Easing.outBack,
+    look: function(t) {
+      return { scaleX: t, scaleY: t };
+    }
+  },
+  // Slides over from where it was, effect.dx and effect.dy tiles away
+  slide: {
+    duration: 0.5,
+    easing: Easing.inOutQuad,
+    look: function(t, effect) {
+      return { x: (1 - t) * effect.dx, y: (1 - t) * effect.dy };
+    }
+  },
+  // Bounces a few times, like the goal once it's been delivered to
+  celebrate: {
+    duration: 0.6,
+    look: function(t) {
+      var bounce = 1 + 0.25 * Math.abs(Math.sin(t * Math.PI * 3)) * (1 - t);
+      return { scaleX: bounce, scaleY: bounce };
+    }
+  }
+};
+
+// Seconds a burst takes to grow and fade away
+Animator.BURST = 0.6;
+
+/* Animate a game, like the live game or a replay being watched. Only the
+ * game being shown is animated, so the same animator is handed each one.
+ */
+Animator.prototype.watch = function(game) {
+  var animator = this;
+
+  this.game = game;
+  this.settle();
+  if(this.watched.indexOf(game) === -1) {
+    this.watched.push(game);
+    game.on('ranover', function(box) {
+      animator.play(game, box, 'squash');
+    });
+    game.on('hit', function(player) {
+      animator.play(game, player, 'flash', { duration: Player.INVULNERABLE });
+    });
+    game.on('level', function() {
+      animator.settle(game);
+    });
+    game.on('reset', function() {
+      animator.settle(game);
+    });
+  }
+};
+
+/* Forget how everything looked and take the board as it is on the next
+ * update, for when everything moves at once like on a new level or seeking
+ * through a replay. Parameter: game, only settle if it's the one shown
+ */
+Animator.prototype.settle = function(game) {
+  if(!game || game === this.game) {
+    this.looks = [];
+    this.bursts = [];
+    this.settling = true;
+  }
+};
+
+/* Start an effect, one of Animator.EFFECTS, on an entity of the game being
+ * shown. Options: duration, to make it last longer or shorter, dx and dy for
+ * a slide. Playing one that's already going starts it over.
+ */
+Animator.prototype.play = function(game, entity, name, options) {
+  var definition = Animator.EFFECTS[name],
+      look,
+      effect;
+
+  if(game !== this.game) {
+    return;
+  }
+  options = options || {};
+  look = this.look(entity);
+  effect = {
+    name: name,
+    tween: new Tween(0, 1, options.duration || definition.duration, definition.easing),
+    dx: options.dx || 0,
+    dy: options.dy || 0
+  };
+  look.effects = look.effects.filter(function(other) {
+    return other.name !== name;
+  }).concat([effect]);
+};
+
+// How an entity looks, made the first time it's asked for
+Animator.prototype.look = function(entity) {
+  var look = this.find(entity);
+
+  if(!look) {
+    look = {
+      entity: entity,
+      x: entity.x,
+      y: entity.y,
+      effects: [],
+      animation: null
+    };
+    this.looks.push(look);
+  }
+  return look;
+};
+
+Animator.prototype.find = function(entity) {
+  for(var i = 0; i < this.looks.length; i++) {
+    if(this.looks[i].entity === entity) {
+      return this.looks[i];
+    }
+  }
+  return null;
+};
+
+/* Move every animation on by the time delta and start animations for
+ * whatever the game moved since the last update.
+ */
+Animator.prototype.update = function(dt) {
+  var game = this.game,
+      animator = this,
+      settling = this.settling,
+      shown = [];
+
+  if(!game) {
+    return;
+  }
+  this.settling = false;
+
+  // Whatever turns up or jumps somewhere gets animated there
+  function watch(kind) {
+    return function(entity) {
+      var known = animator.find(entity),
+          look = animator.look(entity);
+
+      shown.push(look);
+      if(!settling) {
+        animator.moved(kind, entity, look, !known);
+      }
+      look.x = entity.x;
+      look.y = entity.y;
+    };
+  }
+  game.players.forEach(watch('player'));
+  game.boxes.forEach(watch('box'));
+  game.goals.forEach(watch('goal'));
+  game.collectibles.items.forEach(watch('collectible'));
+  game.enemies.forEach(watch('enemy'));
+
+  // Only keep what's still on the board
+  this.looks = shown;
+  this.looks.forEach(function(look) {
+    var type = look.entity.type;
+
+    look.effects = look.effects.filter(function(effect) {
+      return !effect.tween.update(dt);
+    });
+    if(type && type.frames) {
+      if(!look.animation || look.animation.frames !== type.frames) {
+        look.animation = new SpriteAnimation(type.frames, type.fps);
+      }
+      look.animation.update(dt);
+    } else {
+      look.animation = null;
+    }
+  });
+  this.bursts = this.bursts.filter(function(burst) {
+    return !burst.tween.update(dt);
+  });
+};
+
+// Animate an entity the game moved since the last update, isNew is set the first time it's seen
+Animator.prototype.moved = function(kind, entity, look, isNew) {
+  var jumped = entity.x !== look.x || entity.y !== look.y;
+
+  if(kind === 'collectible' && isNew) {
+    this.play(this.game, entity, 'pop');
+  } else if(kind === 'box' && !entity.collected && (isNew || jumped)) {
+    // Boxes lying on the board only move when they're put somewhere new
+    this.play(this.game, entity, 'pop');
+  } else if(kind === 'goal' && jumped) {
+    // A goal moves when it's delivered to, it celebrates and slides over to its new spot
+    this.bursts.push({ sprite: entity.sprite, x: look.x, y: look.y, tween: new Tween(0, 1, Animator.BURST, Easing.outQuad) });
+    this.play(this.game, entity, 'slide', { dx: look.x - entity.x, dy: look.y - entity.y });
+    this.play(this.game, entity, 'celebrate');
+  }
+};
+
+// All of an entity's effects together, how it should look right now
+Animator.prototype.combine = function(look) {
+  var state = { scaleX: 1, scaleY: 1, alpha: 1, x: 0, y: 0 };
+
+  look.effects.forEach(function(effect) {
+    var changes = Animator.EFFECTS[effect.name].look(effect.tween.value(), effect);
+
+    state.scaleX *= changes.scaleX === undefined ? 1 : changes.scaleX;
+    state.scaleY *= changes.scaleY === undefined ? 1 : changes.scaleY;
+    state.alpha *= changes.alpha === undefined ? 1 : changes.alpha;
+    state.x += changes.x || 0;
+    state.y += changes.y || 0;
+  });
+  return state;
+};
+
+/* Draw an entity the way it looks right now. Effects scale it from the
+ * bottom middle of its sprite, where it stands on the tile. render is called
+ * on the entity with the frame to draw when its type has frames.
+ */
+Animator.prototype.draw = function(entity, render) {
+  var look = this.find(entity),
+      state,
+      pivotX,
+      pivotY;
+
+  if(!look) {
+    return render.call(entity);
+  }
+  state = this.combine(look);
+  pivotX = (entity.x + (entity.width || 1) / 2) * colWidth;
+  pivotY = entity.y * rowHeight - offsetY + 130;
+
+  ctx.save();
+  ctx.globalAlpha *= state.alpha;
+  ctx.translate(pivotX + state.x * colWidth, pivotY + state.y * rowHeight);
+  ctx.scale(state.scaleX, state.scaleY);
+  ctx.translate(-pivotX, -pivotY);
+  render.call(entity, look.animation ? look.animation.frame() : undefined);
+  ctx.restore();
+};
+
+// Draw the bursts left behind, growing and fading as they go
+Animator.prototype.render = function() {
+  this.bursts.forEach(function(burst) {
+    var t = burst.tween.value(),
+        scale = 1 + t,
+        pivotX = (burst.x + 0.5) * colWidth,
+        pivotY = burst.y * rowHeight - offsetY + 130;
+
+    ctx.save();
+    ctx.globalAlpha *= 1 - t;
+    ctx.translate(pivotX, pivotY);
+    ctx.scale(scale, scale);
+    ctx.translate(-pivotX, -pivotY);
+    ctx.drawImage(Resources.get(burst.sprite), burst.x * colWidth, burst.y * rowHeight - offsetY);
+    ctx.restore();
+  });
+};
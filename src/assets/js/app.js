@@ -1,355 +1,508 @@
-// Set up global vars
-var ctx = $('canvas')[0].getContext('2d'),
-    colWidth = 101,
+// Set up drawing constants, these are only used when rendering
+var colWidth = 101,
     rowHeight = 80,
-    offsetY = 25,
-    hit = false,
-    goalReached = false,
-    boxesLost = [],
-    startTime = new Date(),
-    heartX,
-    heartY,
-    points = 0,
-    gameHours = 0,
-    gameMinutes = 0,
-    gameSeconds = 0,
-    gameOver = false;
-
+    offsetY = 25;
+
+// Images the entities are drawn with, the engine preloads every one of them.
+// Boxes and enemies get theirs from their types in the level file, and
+// collectibles and obstacles from their kinds in collectibles.js and board.js.
+var sprites = {
+  goal: 'assets/img/star.png',
+  shortcut: 'assets/img/selector.png'
+};
 
-var EnemyLane = function() {
-  // Set up arry for enemies in that lane
-  this.enemies = [];
-}
 
-var GoalLane = function() {
-  this.goals = [];
-}
+// Enemies our player must avoid
+// Parameter: game, the simulation, the enemy picks its type and lane from its level
+var Enemy = function(game) {
 
-var StartLane = function() {
-  this.starts = [];
-}
+    // The simulation this enemy belongs to
+    this.game = game;
 
-var boardLanes = [new GoalLane, new EnemyLane(), new EnemyLane(), new EnemyLane(), new StartLane(), new StartLane()];
-var enemyQueueLanes = [new EnemyLane(), new EnemyLane(), new EnemyLane()];
+    // Pick a type, lane and speed, then wait in line off the board a ways
+    this.spawn();
+    game.lanes.add(this, Lanes.START);
+};
 
-// Enemies our player must avoid
-var Enemy = function(speed, sprite) {
+// Tuning for the enemy behaviors, times are in seconds
+Enemy.PAUSE = { every: 3, min: 0.5, max: 1.5 }; // how often pausers stop and for how long
+Enemy.SWERVE = { every: 2 }; // how often swervers change lanes
+
+/* Pick what kind of enemy this is for its next trip across the board, using
+ * the level's spawn weights, and a lane and speed to go with it.
+ */
+Enemy.prototype.spawn = function() {
+    var game = this.game,
+        enemies = game.level.enemies;
+
+    this.type = enemies.types[game.random.weighted(enemies.weights)];
+    this.sprite = this.type.sprite;
+    this.width = this.type.width; // how many tiles wide the hitbox is
+    this.speed = game.random.intInclusive(enemies.speed.min, enemies.speed.max) * this.type.speed;
+    this.paused = 0; // seconds left standing still
+    this.boxesHit = []; // boxes run over on this trip across the board
+    this.y = this.type.behavior === 'target' ? this.targetLane() : game.random.pick(game.level.enemyRows);
+    this.direction = game.level.rows[this.y].direction;
+};
 
-    // image url
-    this.sprite = sprite;
+// Enemies that go after boxes start in the lane of one that's lying on the board
+Enemy.prototype.targetLane = function() {
+    var game = this.game,
+        rows = game.boxes.filter(function(box) {
+          return !box.collected && game.level.isLane(box.y, 'enemy');
+        }).map(function(box) {
+          return box.y;
+        });
+    return game.random.pick(rows.length ? rows : game.level.enemyRows);
+};
 
-    // Integer for how fast the enemy travels, max speed 3
-    this.speed = speed;
+/* Enemies keep track of how far along their lane they are (pos), counting
+ * from the edge they come in at, so going left or right works the same.
+ * This works out where that puts them on the board.
+ */
+Enemy.prototype.place = function() {
+    this.x = this.direction > 0 ? this.pos : this.game.level.cols - this.width - this.pos;
+};
 
-    // Start the enemy randomly off the board a ways
-    this.x = -getRandomInt(1, 8);
+// Update the enemy's position
+// Parameter: dt, a time delta between ticks
+Enemy.prototype.update = function(dt) {
+    var game = this.game,
+        ahead = game.lanes.ahead(this);
 
-    // Select a random row between the second and forth
-    this.y = getRandomInt(1, 4);
+    // Move the enemy along the row, unless it's stopped for a moment
+    if(this.paused > 0) {
+      this.paused = Math.max(0, this.paused - dt);
+    } else {
+      this.pos = this.pos + dt * game.collectibles.modify('enemySpeed', this.speed);
+    }
 
-    // Marker to track lane position
-    this.prevX = null;
+    // Never drive into the enemy in front, wait right behind it instead
+    if(ahead && this.pos > ahead.pos - this.width) {
+      this.pos = ahead.pos - this.width;
+    }
 
-    // set when the enemy is visable
-    this.visable = false;
+    // Have enemies slow down to the speed of the one ahead of them if
+    // they are going faster once they are 1 space away.
+    if(ahead && ahead.pos - this.pos - this.width <= 1 && ahead.speed < this.speed) {
+      this.speed = ahead.speed;
+    }
 
-    // set when the enemy runs over an item
-    this.hitBox = false;
+    // Enemies only get up to anything once they're on the board
+    if(this.pos > 0) {
+      this.behave(dt);
+    }
 
-    this.laneOrder = 0;
+    this.place();
 
-    // Setup position in enemyQueueLanes
-    enemyQueueLanes[this.y - 1].enemies.splice(-this.x , 0, -this.x);
+  // If an enemy hits a player, set them back and reduce lives, unless they were just hit or a power-up says otherwise
+  game.activePlayers().forEach(function(player) {
+    if(player.intersects(this) && game.time >= player.invulnerableUntil && game.collectibles.modify('hit', true)){
+      player.hit = true;
+    }
+  }, this);
 
-    console.log('Enemy Lane ' + this.y + ' length: ' + enemyQueueLanes[this.y - 1].enemies.length);
-    // Update test viever
-    $('#enemy_lane_' + this.y).text(enemyQueueLanes[this.y - 1].enemies.length);
+  // If an enemy hits a box, increment how many times it was hit
+  game.boxes.forEach(function(box) {
+    if(this.runsOver(box)) {
+      this.boxesHit.push(box);
+      box.ranOver += 1;
+      game.emit('ranover', box);
+    }
+  }, this);
 };
 
-// Update the enemy's position
-// Parameter: dt, a time delta between ticks
-Enemy.prototype.update = function(dt) {
-    // Move the enemy across the row
-    this.x = this.x + dt * this.speed;
-
-    // If the enemy x is greater than zero it's visable
-    if(this.x > 0 && this.visable === false) {
-      this.visable = true;
-      // remove from enemyQueueLanes
-      enemyQueueLanes[this.y - 1].enemies.splice(Math.floor(this.x), 1);
-      // add to boardLanes
-      boardLanes[this.y].enemies.splice(this.x, 0, this.x);
-
-      // Update test viever
-      $('#enemy_lane_' + this.y).text(enemyQueueLanes[this.y - 1].enemies.length);
-      console.log('Enemy Y: ', this.y);
-    } else if(this.x >= 5 && this.visable === true) {
-      // If the enemy x is greater than 5 is not visable on the board
-      // Redraw enemy off canvas and set visable to false
-      this.visable = false;
-      this.y = getRandomInt(1, 4);
-      // Get a new x value to start off board that isn't already taken in that lane.
-      this.x = -getRandomIntExcludeMultiple(1, 5, enemyQueueLanes[this.y - 1].enemies);
-      this.prevX =  this.x;
-      this.speed = getRandomInt(1, 4);
-      this.hitBox = false;
-      // remove from boardLanes and put back into enemyQueueLanes
-      boardLanes[this.y].enemies.splice(this.laneOrder, 1);
-      enemyQueueLanes[this.y - 1].enemies.splice(-this.x , 0, -this.x);
-      console.log('Enemy Lane ' + this.y + ' length: ' + enemyQueueLanes[this.y - 1].enemies.length);
-      $('#enemy_lane_' + this.y).text(enemyQueueLanes[this.y - 1].enemies.length);
-    } else {
-      // Have enemies stop right behind an enemy if they are going faster than
-      // the one ahead of them.
-      var enemyX = this.x;
-      var enemyY = this.y;
-      var enemySpeed = this.speed;
-      var newSpeed = 0;
-
-      // Update enemy's position in the enemyQueueLane
-      if( !this.visable && Math.floor(enemyX) > this.prevX) {
-        console.log('original enemyX: ' + enemyX);
-        enemyX = Math.floor(enemyX) < 0 ? -Math.floor(enemyX) : Math.floor(enemyX);
-        console.log('prevX: ' + this.prevX, 'enemyX: ' + enemyX);
-        enemyQueueLanes[this.y - 1].enemies.splice(this.prevX, 1); // remove previous lane postion
-        enemyQueueLanes[this.y - 1].enemies.splice(Math.round(enemyX), 0, Math.round(enemyX)); // new position
-        this.prevX = enemyX; // set new prevX to track position
-      }
-      // Loop through all enemies in a lane. If they're speed is greater than one infront of them
-      // match their speeds once they are 1 space away.
-      allEnemies.forEach(function(enemy) {
-        if(enemy.y === enemyY) {
-          if(enemyX <= (enemy.x + 1) && enemy.speed < enemySpeed) {
-            newSpeed = enemy.speed;
-            // console.log('Enemy at Y: ' + enemyY + ', X: ' + enemyX + ' changed speed.');
+/* What makes each type of enemy different once it's on the board. Pausers
+ * stop for a moment every so often, swervers change to a lane next to them
+ * and targeters change lanes to get at a box.
+ */
+Enemy.prototype.behave = function(dt) {
+    var game = this.game,
+        random = game.random,
+        enemy = this,
+        lanes;
+
+    switch(this.type.behavior) {
+      case 'pause':
+        if(this.paused === 0 && random.next() < dt / Enemy.PAUSE.every) {
+          this.paused = Enemy.PAUSE.min + random.next() * (Enemy.PAUSE.max - Enemy.PAUSE.min);
+        }
+        break;
+      case 'swerve':
+        if(random.next() < dt / Enemy.SWERVE.every) {
+          lanes = [this.y - 1, this.y + 1].filter(this.canSwerve, this);
+          if(lanes.length) {
+            game.lanes.move(this, random.pick(lanes));
           }
         }
-      });
+        break;
+      case 'target':
+        // Head for a box lying in the next lane over that's still up ahead
+        game.boxes.forEach(function(box) {
+          var boxPos = enemy.direction > 0 ? box.x : game.level.cols - 1 - box.x;
+          if(!box.collected && Math.abs(box.y - enemy.y) === 1 && boxPos > enemy.pos + 1 &&
+             enemy.canSwerve(box.y)) {
+            game.lanes.move(enemy, box.y);
+          }
+        });
+        break;
+    }
+};
 
-      if(newSpeed > 0) {
-        this.speed = newSpeed;
-      }
+// Check if the enemy can move over to a lane without hitting anything
+Enemy.prototype.canSwerve = function(y) {
+    var game = this.game;
+
+    if(!game.level.isLane(y, 'enemy') || game.level.rows[y].direction !== this.direction) {
+      return false;
     }
+    return game.lanes.isClear(y, this.pos - 0.5, this.pos + this.width + 0.5);
+};
 
-  // If an enemy hits the player, set them back and reduce lives
-  if(player.intersects(this)){
-    hit = true;
+/* Check if the enemy is driving over a box. Each box is only run over once
+ * per trip across the board, and boxes being carried are safe since the
+ * player takes the hit for them.
+ */
+Enemy.prototype.runsOver = function(box) {
+  return !box.collected && this.y === box.y && this.boxesHit.indexOf(box) === -1 &&
+    this.x < box.x + .5 && this.x + this.width > box.x + .5;
+};
+
+// Forget running over a box, once it's been moved somewhere new
+Enemy.prototype.forget = function(box) {
+  var index = this.boxesHit.indexOf(box);
+  if(index !== -1) {
+    this.boxesHit.splice(index, 1);
   }
+};
 
-  // If an enemy hits a box, increment how many times it was hit
-  if(this.y === box.y && this.hitBox === false) {
-    if( this.x > (box.x - .5) && this.x < (box.x + .5) ) {
-      this.hitBox = true;
-      box.ranOver += 1;
-      console.log('Box ran over!');
-    }
+// Draws an enemy on the screen, flipped around in lanes that go left
+// Parameter: sprite, a frame to draw instead of the type's sprite, see animation.js
+Enemy.prototype.render = function(sprite) {
+  var image = Resources.get(sprite || this.sprite),
+      x = this.x * colWidth,
+      y = this.y * rowHeight - offsetY;
+
+  if(this.direction > 0) {
+    ctx.drawImage(image, x, y);
+  } else {
+    ctx.save();
+    ctx.translate(x + this.width * colWidth, y);
+    ctx.scale(-1, 1);
+    ctx.drawImage(image, 0, 0);
+    ctx.restore();
   }
 };
 
-// Draws an enemy on the screen
-Enemy.prototype.render = function() {
-  ctx.drawImage(Resources.get(this.sprite), this.x * colWidth, this.y * rowHeight - offsetY);
+// How much of a box's points are left after being run over, and how faded it's drawn.
+// The third time it's run over it's destroyed.
+var damage = {
+  points: [1, 0.5, 0.25],
+  alpha: [1, 0.75, 0.5]
 };
 
-var Item = function(image, type) {
+// Seconds a box has to be delivered in, after showing up, for any speed bonus
+var fastDelivery = 10;
+
+// Parameter: image, what the item looks like, boxes take theirs from their box type
+// Hearts and power-ups are collectibles, see collectibles.js
+var Item = function(game, image, type) {
+  this.game = game;
   this.sprite = image;
   this.type = type;
   this.collected = false;
-  // If the item is an indiebox, start it in the canvas lanes.
-  // If it's heart, start it off canvas.
-  if(type === 'indiebox') {
-    this.x = getRandomInt(0, 5);
-    this.y = getRandomInt(1, 4);
-  } else {
-    this.x = 100;
-    this.y = 100;
-  }
+  this.carrier = null; // the player carrying it
+  this.ranOver = 0; // if the item gets hit by an enemy
+  // Start the box somewhere in the canvas lanes
+  this.respawn();
 
   this.h = 117; // height of item
   this.w = 101; // width of item
-  this.ranOver = 0; // if the item gets hit by an enemy
 }
 
-// Draws an Item on the screen
+// Turn a box into a brand new one of a random type for the level
+Item.prototype.respawn = function() {
+  this.boxType = this.game.random.pick(this.game.level.boxTypes);
+  this.sprite = this.boxType.sprite;
+  this.spawnTime = this.game.time;
+  this.ranOver = 0;
+  this.scatter();
+}
+
+// Seconds left to deliver an express box in, null for boxes without a deadline
+Item.prototype.timeLeft = function() {
+  if(!this.boxType.deadline) {
+    return null;
+  }
+  return Math.max(0, this.boxType.deadline - (this.game.time - this.spawnTime));
+}
+
+/* Points for delivering a box: its type's points, less for each time it was
+ * run over, and up to half as much again for getting it there quickly.
+ */
+Item.prototype.worth = function() {
+  var type = this.boxType,
+      age = this.game.time - this.spawnTime,
+      bonus = type.points / 2 * Math.max(0, 1 - age / fastDelivery);
+  return Math.round(type.points * damage.points[this.ranOver] + bonus);
+}
+
+// Move the item to a random spot in one of the enemy lanes, one no other box is on
+Item.prototype.scatter = function() {
+  var game = this.game,
+      item = this;
+
+  do {
+    this.x = game.random.int(0, game.level.cols);
+    this.y = game.random.pick(game.level.enemyRows);
+  } while((game.boxes || []).some(function(box) {
+    return box !== item && box.x === item.x && box.y === item.y;
+  }));
+
+  // It's a fresh box as far as the enemies are concerned
+  (game.enemies || []).forEach(function(enemy) {
+    enemy.forget(item);
+  });
+}
+
+// Draws an Item on the screen, boxes being carried are stacked on their player
 Item.prototype.render = function() {
-  ctx.drawImage(Resources.get(this.sprite), this.x * colWidth, this.y * rowHeight - offsetY);
+  var lift = this.collected ? this.carrier.carrying.indexOf(this) * 20 : 0,
+      x = this.x * colWidth,
+      y = this.y * rowHeight - offsetY - lift,
+      timeLeft;
+
+  // Boxes fade as they get run over
+  ctx.save();
+  ctx.globalAlpha = damage.alpha[this.ranOver] || 1;
+  ctx.drawImage(Resources.get(this.sprite), x, y);
+  ctx.restore();
+
+  // Express boxes count down to their deadline
+  timeLeft = this.timeLeft();
+  if(timeLeft !== null) {
+    ctx.save();
+    ctx.font = 'bold 20px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = timeLeft < 5 ? '#ff4136' : '#fff';
+    ctx.fillText(Math.ceil(timeLeft), x + colWidth / 2, y + 80);
+    ctx.restore();
+  }
 }
 
-// Update the item's postion based on player's movements
+// Update the item's postion based on the players' movements
 Item.prototype.update = function() {
-  var prevX = this.x;
-  var prevY = this.y;
+  var game = this.game,
+      item = this,
+      player = this.carrier,
+      goal, points;
 
   // If the player is hit while indiebox item is collected
   // set the item back on a random location.
-  if(hit && this.collected && this.type === 'indiebox') {
-    this.collected = false;
-    this.x = getRandomInt(0, 5);
-    this.y = getRandomInt(1, 4);
+  if(this.collected && player.hit) {
+    this.putDown();
+    this.scatter();
   }
 
-  if(player.collects(this)) {
-    this.collected = true;
+  // Boxes are only picked up by a player with room for another one
+  if(!this.collected) {
+    player = game.activePlayers().filter(function(player) {
+      return player.collects(item) && player.canCarry();
+    })[0];
+    if(player) {
+      this.collected = true;
+      this.carrier = player;
+      player.carry(this);
+      game.emit('pickup', this, player);
+    }
   }
 
   if(this.collected) {
-
-    switch(this.type) {
-      case 'indiebox':
-        // Box collected, so follow the players movements
-        this.x = player.x;
-        this.y = player.y;
-        // If the item gets to the goal it's delivered so reset it.
-        if(player.reachesGoal(this)) {
-          player.deliveries.push({
-            'time' : Date.now(),
-            'x' : this.x,
-            'y' : this.y
-          });
-          switch (this.ranOver) {
-            case 0:
-              points += 100;
-              break;
-            case 1:
-              points += 50;
-              break;
-            case 2:
-              points += 25;
-              break;
-            default:
-              break;
-          }
-          document.getElementById("points").innerHTML = points;
-          document.getElementById("boxes_saved").innerHTML = player.deliveries.length;
-          this.collected = false;
-          goalReached = true;
-          this.ranOver = 0;
-          this.x = getRandomInt(0, 5);
-          this.y = getRandomInt(1, 4);
-
-          // Move the obsticle to a new location
-          allRocks.forEach(function(rock) {
-            rock.x = getRandomInt(0, 5);
-          });
-
-        }
-        break;
-      case 'heart':
-        // Gain a life and remove heart from canvas
-        this.collected = false;
-        player.lives += 1;
-        points += 50;
-        document.getElementById("lives").innerHTML = player.lives;
-        this.x = 100;
-        this.y = 100;
-        break;
-      default:
-        break;
+    // Box collected, so follow the players movements
+    this.x = player.x;
+    this.y = player.y;
+    // If the item gets to a goal that takes its type it's delivered so reset it.
+    goal = player.reachesGoal(this);
+    if(goal) {
+      points = game.collectibles.modify('points', this.worth());
+      player.deliveries.push({
+        'time' : game.time,
+        'x' : this.x,
+        'y' : this.y,
+        'type' : this.boxType.name,
+        'ranOver' : this.ranOver,
+        'seconds' : game.time - this.spawnTime,
+        'points' : points
+      });
+      game.score(points, player);
+      game.levelDeliveries += 1;
+      game.bonusTime();
+      game.emit('delivered', this, player.deliveries.length, player);
+      this.putDown();
+      goal.reached = true;
+      this.respawn();
     }
   }
 
-  if(this.type === 'indiebox') {
-    switch(this.ranOver) {
-      case 1:
-        // first hit
-        this.sprite = 'assets/img/gem-green.png';
-        break;
-      case 2:
-        // second hit
-        this.sprite = 'assets/img/gem-orange.png';
-        break;
-      case 3:
-        // Third hit, destroy it and log it.
-        boxesLost.push({
-          'time' : Date.now(),
-          'x' : this.x,
-          'y' : this.y
-        });
-        points -= 50;
-        document.getElementById("points").innerHTML = points;
-        document.getElementById("boxes_lost").innerHTML = boxesLost.length;
-        this.sprite = 'assets/img/gem-blue.png';
-        this.x = getRandomInt(0, 5);
-        this.y = getRandomInt(1, 4);
-        this.ranOver = 0;
-        this.render();
-        allEnemies.forEach(function(enemy) {
-          enemy.hitBox = false;
-        });
-        break;
-      default:
-        this.sprite = 'assets/img/gem-blue.png';
-    }
+  // Third hit destroys a box, and express boxes are lost when they run out of time
+  if(this.ranOver >= 3 || this.timeLeft() === 0) {
+    this.lose();
   }
+}
 
-  if(this.type === 'heart' && gameSeconds % 30 === 0) {
-    this.x = heartX;
-    this.y = heartY;
-  }
-  if(this.type === 'heart' && gameSeconds % 9 === 0) {
-    this.x = 100;
-    this.y = 100;
-    heartX= getRandomInt(0, 5);
-    heartY = getRandomIntExclude(1, 5, 4);
+// Destroy a box and log it, then put a new one on the board
+Item.prototype.lose = function() {
+  var game = this.game;
+
+  game.boxesLost.push({
+    'time' : game.time,
+    'x' : this.x,
+    'y' : this.y,
+    'type' : this.boxType.name,
+    'level' : game.player.level
+  });
+  // A box lost while being carried costs whoever was carrying it
+  game.score(-50, this.carrier);
+  game.emit('lost', this, game.boxesLost.length);
+  if(this.collected) {
+    this.putDown();
   }
+  this.respawn();
+}
+
+// Take a box off the player carrying it
+Item.prototype.putDown = function() {
+  this.carrier.drop(this);
+  this.carrier = null;
+  this.collected = false;
 }
 
-var Goal = function(image) {
+// Parameter: accepts, the level's goal definition, which box types it takes
+var Goal = function(game, image, accepts) {
+  this.game = game;
   this.sprite = image;
-  this.x = getRandomInt(0, 5);
-  this.y = 0; // always the top lane
+  this.accepts = accepts;
+  this.reached = false; // set when a box was delivered to it this step
+  this.scatter();
+}
+
+// Move the goal to a random spot in a goal lane that no other goal is on
+Goal.prototype.scatter = function() {
+  var game = this.game,
+      goal = this;
+
+  do {
+    this.x = game.random.int(0, game.level.cols);
+    this.y = game.random.pick(game.level.goalRows);
+  } while((game.goals || []).some(function(other) {
+    return other !== goal && other.x === goal.x && other.y === goal.y;
+  }));
+}
+
+// Check if the goal takes boxes of a type
+Goal.prototype.takes = function(type) {
+  return Level.accepts(this, type);
 }
 
+// After a delivery the goal moves, and so do the obsticles that aren't fixed
 Goal.prototype.update = function() {
-  if(goalReached) {
-    console.log('Box Delivered!');
-    goalReached = false;
-    this.x = getRandomInt(0, 5);
+  if(this.reached) {
+    this.reached = false;
+    this.scatter();
+    this.game.obstacles.forEach(function(obstacle) {
+      obstacle.scatter();
+    });
   }
 }
 
+// Draws the goal with a small copy of each type of box it takes
 Goal.prototype.render = function() {
-  ctx.drawImage(Resources.get(this.sprite), this.x * colWidth, this.y * rowHeight - offsetY);
+  var x = this.x * colWidth,
+      y = this.y * rowHeight - offsetY,
+      accepted = this.game.level.boxTypes.filter(this.takes.bind(this)),
+      size = 0.4;
+
+  ctx.drawImage(Resources.get(this.sprite), x, y);
+  if(accepted.length === this.game.level.boxTypes.length) {
+    return;
+  }
+  accepted.forEach(function(type, index) {
+    var left = x + (colWidth - accepted.length * colWidth * size) / 2 + index * colWidth * size;
+    ctx.drawImage(Resources.get(type.sprite), left, y + 70, colWidth * size, 171 * size);
+  });
 }
 
 // Create player class
-var Player = function(image) {
+// Parameter: character, the Character the player picked, sets their sprite and stats
+// Parameter: index, which player this is, 0 for the first
+var Player = function(game, character, index) {
+  var start;
+
+  this.game = game;
+  this.character = character;
+  this.index = index || 0;
   // Setup url for player sprit
-  this.sprite = image;
-  this.x = 2;
-  this.y = 5;
-  this.moveX = 2; // the next X movement
-  this.moveY = 5; // the next Y movement
+  this.sprite = character.sprite;
+  start = game.startFor(this.index);
+  this.x = start.x;
+  this.y = start.y;
+  this.moveX = this.x; // the next X movement
+  this.moveY = this.y; // the next Y movement
   this.moveDirection = ''; // the movement direction from user input
   this.h = 117; // height of player
   this.w = 101; // width of player
-  this.moveSpeed = 5; // edit this to make character move faster, max speed is 10.
+  this.moveSpeed = game.level.moveSpeed * character.speed; // how fast the character moves, set by the level
   this.moving = false;
   this.movements = [];
   this.deliveries = [];
-  this.lives = 3;
+  this.deaths = []; // where the player was hit, for the stats page
+  this.points = 0; // points from this player's own deliveries and pickups
+  this.lives = character.lives;
+  this.hit = false; // set by an enemy that runs into the player
+  this.out = false; // out of lives, only while the other player plays on
+  this.safeUntil = 0; // game time until which boxes can't be stolen, in versus games
+  this.invulnerableUntil = 0; // game time until which enemies can't hit the player again
+  this.capacity = character.capacity; // how many boxes can be carried at once
+  this.carrying = []; // the boxes being carried right now
   this.level = 1;
 }
 
+// Colors the players are told apart by when there's more than one
+Player.COLORS = ['#ffd700', '#39cccc'];
+
+// Seconds after a steal before either player can steal again
+Player.STEAL_GRACE = 1;
+
+// Seconds after being hit that enemies can't hit the player again
+Player.INVULNERABLE = 1.5;
+
 Player.prototype.update = function(dt) {
+  var game = this.game,
+      step = dt * this.moveSpeed * game.board.speedAt(this.moveX, this.moveY),
+      columns;
+
+  if(this.out) {
+    return;
+  }
+
   // Check difference of move destination and ensure direction max before changing
   // board coordinates to avoid gitter in movement.
-  if(this.moving && !hit) {
+  if(this.moving && !this.hit) {
     // Moving left
     if(this.x > this.moveX && this.moveDirection === 'left') {
-      var newX = this.x - (dt * this.moveSpeed);
+      var newX = this.x - step;
       this.x = newX < this.moveX ? this.moveX : newX;
     // Moving right
     } else if(this.x < this.moveX && this.moveDirection === 'right') {
-      var newX = this.x + (dt * this.moveSpeed);
+      var newX = this.x + step;
       this.x = newX > this.moveX ? this.moveX : newX;
     // Moving up
     } else if(this.y > this.moveY && this.moveDirection === 'up') {
-      var newY = this.y - (dt * this.moveSpeed);
+      var newY = this.y - step;
       this.y = newY < this.moveY ? this.moveY : newY;
     // Moving down
     } else if(this.y < this.moveY && this.moveDirection === 'down') {
-      var newY = this.y + (dt * this.moveSpeed);
+      var newY = this.y + step;
       this.y = newY > this.moveY ? this.moveY : newY;
     // Not moving
     } else {
@@ -357,87 +510,94 @@ Player.prototype.update = function(dt) {
       // Insure integer values
       this.x = Math.round(this.x);
       this.y = Math.round(this.y);
-      console.log('Player X: ', this.x, 'Player Y: ', this.y, 'Direction: ', this.moveDirection);
     }
 
   }
-  if(hit){
-    // Reduce a life if player has any left or gameover
+  if(this.hit){
+    this.deaths.push({
+      'time' : game.time,
+      'x' : Math.round(this.x),
+      'y' : Math.round(this.y),
+      'level' : this.level
+    });
+    game.emit('hit', this);
+    this.hit = false;
+    this.invulnerableUntil = game.time + Player.INVULNERABLE;
+    // Reduce a life if player has any left, sit out if the other player is still going or gameover
     if(this.lives > 1) {
       this.lives -= 1;
-      this.x = getRandomInt(1, 4);
-      this.y = 5;
+      // Back to somewhere on the start row that isn't blocked
+      columns = game.board.openColumns(game.level.start.y);
+      this.x = columns.length ? game.random.pick(columns) : game.level.start.x;
+      this.y = game.level.start.y;
       this.moveX = this.x;
       this.moveY = this.y;
-      hit = false;
-      document.getElementById("lives").innerHTML = player.lives;
+      game.emit('lives', this.lives, this);
+    } else if(game.activePlayers().length > 1) {
+      this.lives = 0;
+      this.out = true;
+      this.moving = false;
+      game.emit('lives', this.lives, this);
+      game.emit('out', this);
     } else {
-      hit = false;
-      this.x = 2;
-      this.y = 5;
-      this.moveX = this.x;
-      this.moveY = this.y;
-      console.log('GAME OVER');
-      this.lives = 3;
-      document.getElementById("lives").innerHTML = player.lives;
-      gameOver = true;
-      // do a reset here.
-      box.ranOver = 0;
-      box.x = getRandomInt(0, 5);
-      box.y = getRandomInt(1, 4);
+      game.players.forEach(function(player) {
+        var start = game.startFor(player.index);
+        player.x = player.moveX = start.x;
+        player.y = player.moveY = start.y;
+        player.lives = player.character.lives;
+        player.out = false;
+        // do a reset here.
+        player.carrying = [];
+        game.emit('lives', player.lives, player);
+      });
+      game.gameOver = true;
+      game.collectibles.clear();
+      game.boxes.forEach(function(box) {
+        box.collected = false;
+        box.carrier = null;
+        box.respawn();
+      });
+      game.emit('gameover');
     }
   }
   this.checkLevel();
 }
 
+// Move on to the next level once enough boxes were delivered on this one
 Player.prototype.checkLevel = function() {
+  var game = this.game,
+      toAdvance = game.level.boxesToAdvance;
 
-  if (points < 1000) {
-    this.level = 1;
-  } else if (points < 2000) {
-    this.level = 2;
-    this.moveSpeed = 6;
-  } else if (points < 3000) {
-    this.level = 3;
-    this.moveSpeed = 7;
-  } else if (points < 4000) {
-    this.level = 4;
-    this.moveSpeed = 8;
-  } else if (points < 5000) {
-    this.level = 5;
-    this.moveSpeed = 9;
-  } else if (points < 6000) {
-    this.level = 6;
-    this.moveSpeed = 10;
-  } else if (points < 7000) {
-    this.level = 7;
-    this.moveSpeed = 11;
-  } else if (points < 8000) {
-    this.level = 8;
-    this.moveSpeed = 12;
-  } else if (points < 9000) {
-    this.level = 9;
-    this.moveSpeed = 13;
-  } else if (points < 10000) {
-    this.level = 10;
-    this.moveSpeed = 14;
+  if(toAdvance && game.levelDeliveries >= toAdvance) {
+    game.changeLevel(this.level + 1);
   }
-
-  document.getElementById("level").innerHTML = this.level;
 }
 
-// Draw the player on the canvas
+// Draw the player on the canvas, with a label to tell them apart when there are two
 Player.prototype.render = function() {
-  ctx.drawImage(Resources.get(this.sprite), this.x * colWidth, this.y * rowHeight - offsetY);
+  var x = this.x * colWidth,
+      y = this.y * rowHeight - offsetY;
+
+  if(this.out) {
+    return;
+  }
+  ctx.drawImage(Resources.get(this.sprite), x, y);
+  if(this.game.players.length > 1) {
+    ctx.save();
+    ctx.font = 'bold 18px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = Player.COLORS[this.index];
+    ctx.fillText('P' + (this.index + 1), x + colWidth / 2, y + 60);
+    ctx.restore();
+  }
 }
 
 // Checks to see an enemy intersect with the player
 Player.prototype.intersects = function(enemy) {
     var intersects = false;
     if(enemy.y === this.y ){
-      if( enemy.x > (this.x - .5) && enemy.x < (this.x + .5) ) {
+      if( enemy.x < (this.x + .5) && enemy.x + enemy.width > (this.x + .5) ) {
         intersects = true;
-        console.log('HIT! Enemy X: ' + enemy.x);
       }
     }
     return intersects;
@@ -452,137 +612,134 @@ Player.prototype.collects = function(item) {
   }
 }
 
-// Check if the player delivers a box
+// How many boxes the player can carry right now, power-ups can make room for more
+Player.prototype.maxCarry = function() {
+  return this.game.collectibles.modify('capacity', this.capacity);
+}
+
+Player.prototype.canCarry = function() {
+  return this.carrying.length < this.maxCarry();
+}
+
+// Pick up a box, or put one down, and let the HUD know
+Player.prototype.carry = function(box) {
+  this.carrying.push(box);
+  this.game.emit('carrying', this.carrying.length, this.maxCarry(), this);
+}
+
+Player.prototype.drop = function(box) {
+  var index = this.carrying.indexOf(box);
+  if(index !== -1) {
+    this.carrying.splice(index, 1);
+    this.game.emit('carrying', this.carrying.length, this.maxCarry(), this);
+  }
+}
+
+// Put down the last boxes picked up until the rest fit, they're scattered like after a hit
+Player.prototype.dropExtra = function() {
+  var box;
+  while(this.carrying.length > this.maxCarry()) {
+    box = this.carrying[this.carrying.length - 1];
+    box.putDown();
+    box.scatter();
+  }
+}
+
+/* In versus games running into the other player takes a box off them, if
+ * there's room for it. Both players are left alone for a moment after, so
+ * the box can't go straight back.
+ */
+Player.prototype.steal = function(other) {
+  var game = this.game,
+      box;
+
+  if(this.out || other.out || !other.carrying.length || !this.canCarry() ||
+     game.time < this.safeUntil || game.time < other.safeUntil ||
+     Math.round(this.x) !== Math.round(other.x) || Math.round(this.y) !== Math.round(other.y)) {
+    return;
+  }
+  box = other.carrying[other.carrying.length - 1];
+  other.drop(box);
+  this.carry(box);
+  box.carrier = this;
+  this.safeUntil = other.safeUntil = game.time + Player.STEAL_GRACE;
+  game.emit('steal', box, this, other);
+}
+
+// Check if the player delivers a box, returns the goal it's delivered to
 Player.prototype.reachesGoal = function(item) {
-  if(item.x === goal.x && item.y === goal.y) {
-    return true;
-  } else {
-    return false;
+  var goals = this.game.goals;
+  for(var i = 0; i < goals.length; i++) {
+    if(item.x === goals[i].x && item.y === goals[i].y && goals[i].takes(item.boxType)) {
+      return goals[i];
+    }
   }
+  return null;
 }
 
-// Handle keyboard input for player actions
+// Handle keyboard input for player actions, the board decides where a move can go
 Player.prototype.handleInput = function(keyCode) {
-  var thisX = this.x;
-  var thisY = this.y;
-  var obstructed = false;
-  switch (keyCode) {
-    case 'left':
-      // Check rocks to see if they obstruct player movement
-      allRocks.forEach(function(rock) {
-        if( rock.y === thisY ) {
-          if( rock.x === (thisX - 1) ){
-            obstructed = true;
-          }
-        }
-      });
-      if(!obstructed && this.x > 0 && !this.moving) {
-        this.moveDirection = 'left';
-        this.moving = true;
-        this.moveX -= 1;
-        // If player moved log it
-        this.movements.push({
-          'keyCode': keyCode,
-          'time' : Date.now(),
-          'x' : this.moveX,
-          'y' : this.y
-        });
-      }
-      break;
-    case 'up':
-      allRocks.forEach(function(rock) {
-        if( rock.x === thisX ) {
-          if( rock.y === (thisY - 1) ){
-            obstructed = true;
-          }
-        }
-      });
-      if(!obstructed && this.y > 0 && !this.moving) {
-        this.moveDirection = 'up';
-        this.moving = true;
-        this.moveY -= 1;
-        this.movements.push({
-          'keyCode': keyCode,
-          'time' : Date.now(),
-          'x' : this.x,
-          'y' : this.y
-        });
-      }
-      break;
-    case 'right':
-      allRocks.forEach(function(rock) {
-        if( rock.y === thisY ) {
-          if( rock.x === (thisX + 1) ){
-            obstructed = true;
-          }
-        }
-      });
-      if(!obstructed && this.x < 4 && !this.moving) {
-        this.moveDirection = 'right';
-        this.moving = true;
-        this.moveX += 1;
-        this.movements.push({
-          'keyCode': keyCode,
-          'time' : Date.now(),
-          'x' : this.moveX,
-          'y' : this.y
-        });
-      }
-      break;
-    case 'down':
-      allRocks.forEach(function(rock) {
-        if( rock.x === thisX ) {
-          if( rock.y === (thisY + 1) ){
-            obstructed = true;
-          }
-        }
-      });
-      if(!obstructed && this.y < 5 && !this.moving) {
-        this.moveDirection = 'down';
-        this.moving = true;
-        this.moveY += 1;
-        this.movements.push({
-          'keyCode': keyCode,
-          'time' : Date.now(),
-          'x' : this.x,
-          'y' : this.y
-        });
-      }
-      break;
+  var to;
+
+  if(!Board.STEPS[keyCode] || this.moving) {
+    return;
+  }
+  to = this.game.board.move(this.x, this.y, keyCode);
+  if(to) {
+    this.moveDirection = keyCode;
+    this.moving = true;
+    this.moveX = to.x;
+    this.moveY = to.y;
+    // If player moved log it
+    this.movements.push({
+      'keyCode': keyCode,
+      'time' : this.game.time,
+      'x' : this.moveX,
+      'y' : this.moveY
+    });
   }
 }
 
-// Rock object that can't be moved on by player
-var Rock = function(image) {
+/* A shortcut across the board some levels have. It's locked until a player
+ * picks up a key, then the first player to step on it is taken to the other
+ * end and the key is used up.
+ * Parameter: shortcut, the level's shortcut with from and to positions
+ */
+var Shortcut = function(game, image, shortcut) {
+  this.game = game;
   this.sprite = image;
-  this.x = getRandomInt(0, 5);
-  this.y = 4;
-}
-
-Rock.prototype.render = function() {
-  ctx.drawImage(Resources.get(this.sprite), this.x * colWidth, this.y * rowHeight - offsetY);
-}
-
-// Instantiate game objects
-var allEnemies = [ new Enemy(1, 'assets/img/enemy-bug.png'),
-                new Enemy(2, 'assets/img/enemy-bug.png'),
-                new Enemy(2, 'assets/img/enemy-bug.png'),
-                new Enemy(4, 'assets/img/enemy-bug.png'),
-                new Enemy(4, 'assets/img/enemy-bug.png')],
-    allRocks = [new Rock('assets/img/rock.png')],
-    player = new Player('assets/img/char-boy.png'),
-    box = new Item('assets/img/gem-blue.png', 'indiebox'),
-    goal = new Goal('assets/img/star.png'),
-    heart = new Item('assets/img/heart.png', 'heart');
-
-
-// Listen for key presses and sends the keys to Player.handleInput()
-document.addEventListener('keyup', function(e) {
-    var allowedKeys = {
-        37: 'left',
-        38: 'up',
-        39: 'right',
-        40: 'down'
-    };
-    player.handleInput(allowedKeys[e.keyCode]);
-});
+  this.from = shortcut.from;
+  this.to = shortcut.to;
+}
+
+Shortcut.prototype.isOpen = function() {
+  return this.game.collectibles.isActive('key');
+}
+
+Shortcut.prototype.update = function() {
+  var game = this.game,
+      from = this.from,
+      player;
+
+  player = game.activePlayers().filter(function(player) {
+    return !player.moving && player.x === from.x && player.y === from.y;
+  })[0];
+  if(this.isOpen() && player) {
+    player.x = player.moveX = this.to.x;
+    player.y = player.moveY = this.to.y;
+    game.collectibles.end('key');
+    game.emit('shortcut', this, player);
+  }
+}
+
+// Both ends are marked, faintly until the shortcut is open
+Shortcut.prototype.render = function() {
+  var image = Resources.get(this.sprite);
+
+  ctx.save();
+  ctx.globalAlpha = this.isOpen() ? 1 : 0.35;
+  ctx.drawImage(image, this.from.x * colWidth, this.from.y * rowHeight - offsetY);
+  ctx.globalAlpha = this.isOpen() ? 0.6 : 0.2;
+  ctx.drawImage(image, this.to.x * colWidth, this.to.y * rowHeight - offsetY);
+  ctx.restore();
+}
@@ -0,0 +1,182 @@
+/* Board.js
+ * What the player can walk on and what gets in their way. Every tile says
+ * how it can be walked on (see Level.tile()) and obstacles sit on top of the
+ * tiles: rocks and walls block the way, crates can be pushed along and
+ * bridges make water tiles safe to cross. The rules for all of them are in
+ * one place, every move the player makes is checked with Board.move().
+ *
+ *   var to = game.board.move(player.x, player.y, 'up');
+ *   if(to) { ... walk to to.x, to.y ... }
+ */
+
+// Something sitting on a tile, one of Obstacle.TYPES
+// Parameter: obstacle, the obstacle from the level, types that scatter can leave out x
+var Obstacle = function(game, obstacle) {
+  this.game = game;
+  this.type = Obstacle.TYPES[obstacle.type];
+  this.name = obstacle.type;
+  this.sprite = this.type.sprite;
+  this.fixed = obstacle.x !== undefined;
+  this.x = obstacle.x;
+  this.y = obstacle.y;
+  this.scatter();
+};
+
+/* Each type of obstacle and the rules it plays by:
+ *
+ *   solid    - nothing can walk onto it
+ *   pushable - walking into it pushes it one tile along, if there's room
+ *   bridge   - makes a tile that can't be walked on safe to cross
+ *   scatter  - moves to another column after every delivery, unless the
+ *              level gives it an x
+ *   ground   - drawn flat under everything else
+ *   lanes    - the kinds of lanes it can be in, or be pushed into
+ */
+Obstacle.TYPES = {
+  rock: { sprite: 'assets/img/rock.png', solid: true, scatter: true, lanes: ['start'] },
+  wall: { sprite: 'assets/img/wall-block.png', solid: true, lanes: ['start'] },
+  crate: { sprite: 'assets/img/crate.png', solid: true, pushable: true, lanes: ['start'] },
+  bridge: { sprite: 'assets/img/bridge.png', bridge: true, ground: true, lanes: ['start'] }
+};
+
+// Move the obstacle to a random free column of its row, if it's the kind that moves
+Obstacle.prototype.scatter = function() {
+  var game = this.game,
+      obstacle = this,
+      columns = [];
+
+  if(this.fixed || !this.type.scatter) {
+    return;
+  }
+
+  for(var x = 0; x < game.level.cols; x++) {
+    columns.push(x);
+  }
+  // Keep clear of the players, wherever they start from and bridges they need to cross
+  columns = columns.filter(function(x) {
+    var start = game.level.start;
+    return game.board.canStand(x, obstacle.y, obstacle) &&
+      game.level.tileAt(x, obstacle.y).passable &&
+      !(x === start.x && obstacle.y === start.y) &&
+      !game.players.some(function(player) {
+        return x === player.x && obstacle.y === player.y;
+      });
+  });
+  if(columns.length) {
+    this.x = game.random.pick(columns);
+  }
+};
+
+Obstacle.prototype.render = function() {
+  ctx.drawImage(Resources.get(this.sprite), this.x * colWidth, this.y * rowHeight - offsetY);
+};
+
+var Board = function(game) {
+  this.game = game;
+};
+
+// How far a move in each direction goes
+Board.STEPS = {
+  left: { x: -1, y: 0 },
+  up: { x: 0, y: -1 },
+  right: { x: 1, y: 0 },
+  down: { x: 0, y: 1 }
+};
+
+// The obstacles on a tile, leaving out one that's asking
+Board.prototype.obstaclesAt = function(x, y, except) {
+  return (this.game.obstacles || []).filter(function(obstacle) {
+    return obstacle !== except && obstacle.x === x && obstacle.y === y;
+  });
+};
+
+// Check a tile can be walked on, by its own rules or because there's a bridge over it
+Board.prototype.isPassable = function(x, y) {
+  return this.game.level.tileAt(x, y).passable || this.obstaclesAt(x, y).some(function(obstacle) {
+    return obstacle.type.bridge;
+  });
+};
+
+// Check something could stand on a tile, it's walkable and nothing solid is on it
+Board.prototype.canStand = function(x, y, except) {
+  return this.game.level.contains(x, y) && this.isPassable(x, y) &&
+    !this.obstaclesAt(x, y, except).some(function(obstacle) {
+      return obstacle.type.solid;
+    });
+};
+
+// Check a player is on a tile or on their way onto it
+Board.prototype.isOccupied = function(x, y) {
+  return this.game.activePlayers().some(function(player) {
+    return (Math.abs(player.x - x) < 1 && Math.abs(player.y - y) < 1) ||
+      (player.moveX === x && player.moveY === y);
+  });
+};
+
+// Check a tile can be stepped onto going in a direction, one-way tiles only let you in one way
+Board.prototype.canEnter = function(x, y, direction) {
+  var tile;
+
+  if(!this.game.level.contains(x, y) || !this.isPassable(x, y)) {
+    return false;
+  }
+  tile = this.game.level.tileAt(x, y);
+  return !tile.oneWay || tile.oneWay === direction;
+};
+
+/* Try to move from a tile in a direction. Returns the tile to move to, or
+ * null if the way is blocked. A crate in the way is pushed along if it has
+ * somewhere to go.
+ */
+Board.prototype.move = function(x, y, direction) {
+  var step = Board.STEPS[direction],
+      to = { x: x + step.x, y: y + step.y },
+      blocking;
+
+  if(!this.canEnter(to.x, to.y, direction)) {
+    return null;
+  }
+  blocking = this.obstaclesAt(to.x, to.y).filter(function(obstacle) {
+    return obstacle.type.solid;
+  });
+  if(blocking.length === 0) {
+    return to;
+  }
+  if(blocking.length === 1 && this.push(blocking[0], direction)) {
+    return to;
+  }
+  return null;
+};
+
+// Push an obstacle one tile along if it can be pushed there and nobody's in the way
+Board.prototype.push = function(obstacle, direction) {
+  var step = Board.STEPS[direction],
+      x = obstacle.x + step.x,
+      y = obstacle.y + step.y,
+      level = this.game.level;
+
+  if(!obstacle.type.pushable || !this.canStand(x, y) || this.isOccupied(x, y) ||
+     obstacle.type.lanes.indexOf(level.rows[y].lane) === -1) {
+    return false;
+  }
+  obstacle.x = x;
+  obstacle.y = y;
+  this.game.emit('push', obstacle);
+  return true;
+};
+
+// How fast the player moves onto a tile, slow tiles take longer to cross
+Board.prototype.speedAt = function(x, y) {
+  return this.game.level.tileAt(x, y).speed;
+};
+
+// The columns of a row the player could be put down on
+Board.prototype.openColumns = function(y) {
+  var columns = [];
+  for(var x = 0; x < this.game.level.cols; x++) {
+    if(this.canStand(x, y)) {
+      columns.push(x);
+    }
+  }
+  return columns;
+};
@@ -0,0 +1,48 @@
+/* Character.js
+ * The characters a player can pick are described in src/data/characters.json:
+ *
+ *   { "characters": [{
+ *       "id": "boy", "name": "Boxer Boy", "sprite": "assets/img/char-boy.png",
+ *       "speed": 1, "lives": 3, "capacity": 1
+ *   }] }
+ *
+ * speed scales the level's move speed (1.25 is a quarter faster), lives is
+ * how many lives the character starts with and capacity is how many boxes
+ * they can carry at once.
+ */
+var Character = function(definition) {
+  this.id = definition.id;
+  this.name = definition.name || definition.id;
+  this.sprite = definition.sprite;
+  this.speed = definition.speed || 1;
+  this.lives = definition.lives || 3;
+  this.capacity = definition.capacity || 1;
+
+  if(!this.id || !this.sprite) {
+    throw new Error('Character "' + this.name + '" needs an id and a sprite');
+  }
+};
+
+// Who plays when no character was picked
+Character.DEFAULT = new Character({
+  id: 'boy',
+  name: 'Boxer Boy',
+  sprite: 'assets/img/char-boy.png'
+});
+
+// Create every character in a parsed characters.json file
+Character.loadAll = function(data) {
+  if(!data || !data.characters || data.characters.length === 0) {
+    throw new Error('Character file has no characters');
+  }
+  return data.characters.map(function(definition) {
+    return new Character(definition);
+  });
+};
+
+// Find a character by id in a list, falling back to the first one
+Character.find = function(characters, id) {
+  return characters.filter(function(character) {
+    return character.id === id;
+  })[0] || characters[0];
+};
@@ -0,0 +1,109 @@
+/* Clock.js
+ * A game's clock. It's made of the time deltas it's handed and nothing else,
+ * so it only moves while the game is being stepped: pausing the game, the
+ * level complete screen and menus all stop it without it having to know
+ * about them. Things that happen after a while or every so often are
+ * scheduled on it rather than checked for every frame:
+ *
+ *   var timer = game.clock.after(120, function() { ... });
+ *   game.clock.every(30, function() { ... });
+ *   game.clock.delay(timer, 10);
+ *
+ * Timers that are due go off in the order they're due, ones due at the same
+ * time in the order they were scheduled, so a Simulation stays
+ * deterministic.
+ */
+var GameClock = function() {
+  this.reset();
+};
+
+// How close to due a timer has to be to go off, time added up from steps is never quite exact
+GameClock.EPSILON = 1e-9;
+
+// Back to 0 with nothing scheduled
+GameClock.prototype.reset = function() {
+  this.time = 0; // seconds the clock has run
+  this.timers = []; // scheduled, { id, due, every, callback }
+  this.nextId = 1;
+};
+
+// Move the clock on by the time delta and set off every timer that's due
+GameClock.prototype.tick = function(dt) {
+  var timer;
+
+  this.time += dt;
+  while((timer = this.due())) {
+    if(timer.every) {
+      timer.due += timer.every;
+    } else {
+      this.cancel(timer.id);
+    }
+    timer.callback(this.time);
+  }
+};
+
+// The first timer due, if any is
+GameClock.prototype.due = function() {
+  var first = null,
+      time = this.time + GameClock.EPSILON;
+
+  this.timers.forEach(function(timer) {
+    if(timer.due <= time && (!first || timer.due < first.due ||
+       (timer.due === first.due && timer.id < first.id))) {
+      first = timer;
+    }
+  });
+  return first;
+};
+
+// Call back once the clock reads time, returns the timer's id
+GameClock.prototype.at = function(time, callback) {
+  return this.schedule(time, 0, callback);
+};
+
+// Call back seconds from now
+GameClock.prototype.after = function(seconds, callback) {
+  return this.schedule(this.time + seconds, 0, callback);
+};
+
+// Call back every so many seconds, the first time seconds from now
+GameClock.prototype.every = function(seconds, callback) {
+  return this.schedule(this.time + seconds, seconds, callback);
+};
+
+GameClock.prototype.schedule = function(due, every, callback) {
+  var id = this.nextId++;
+
+  this.timers.push({ id: id, due: due, every: every, callback: callback });
+  return id;
+};
+
+GameClock.prototype.cancel = function(id) {
+  this.timers = this.timers.filter(function(timer) {
+    return timer.id !== id;
+  });
+};
+
+// Push a timer back by some seconds, or forward with less than 0
+GameClock.prototype.delay = function(id, seconds) {
+  var timer = this.find(id);
+
+  if(timer) {
+    timer.due += seconds;
+  }
+};
+
+// Seconds until a timer goes off next, null if it isn't scheduled
+GameClock.prototype.remaining = function(id) {
+  var timer = this.find(id);
+  return timer ? Math.max(0, timer.due - this.time) : null;
+};
+
+GameClock.prototype.find = function(id) {
+  for(var i = 0; i < this.timers.length; i++) {
+    if(this.timers[i].id === id) {
+      return this.timers[i];
+    }
+  }
+  return null;
+};
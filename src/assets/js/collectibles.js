@@ -0,0 +1,299 @@
+/* Collectibles.js
+ * Hearts, power-ups and anything else the player can pick up besides boxes.
+ * Every kind of collectible is defined once with Collectible.define(), with
+ * its sprite, what happens when it's picked up and, for power-ups that last a
+ * while, how long they last and what they change while they're active.
+ * Levels pick which kinds show up and how often, see level.js:
+ *
+ *   "collectibles": { "heart": { "every": 30, "lasts": 6 }, "shield": { "every": 20, "lasts": 5 } }
+ *
+ * Active power-ups change the game through modifiers. The rest of the game
+ * asks for a value with game.collectibles.modify(name, value) and gets it back
+ * changed by every active power-up that modifies it. The modifiers used are:
+ *
+ *   enemySpeed - how fast an enemy drives, in tiles a second
+ *   hit        - whether an enemy touching the player hits them
+ *   capacity   - how many boxes the player can carry
+ *   points     - what a box delivery is worth
+ *
+ * So a new kind is added without touching the rest of the game:
+ *
+ *   Collectible.define('magnet', {
+ *     label: 'Magnet',
+ *     sprite: 'assets/img/magnet.png',
+ *     duration: 10,
+ *     modify: { capacity: function(capacity) { return capacity * 2; } }
+ *   });
+ */
+
+// Something lying on the board waiting to be picked up
+// Parameter: kind, the name of one of the Collectible.KINDS
+var Collectible = function(game, kind, x, y, lasts) {
+  this.game = game;
+  this.kind = kind;
+  this.sprite = Collectible.KINDS[kind].sprite;
+  this.x = x;
+  this.y = y;
+  this.expires = game.time + lasts; // when it disappears if nobody picks it up
+};
+
+Collectible.prototype.render = function() {
+  ctx.drawImage(Resources.get(this.sprite), this.x * colWidth, this.y * rowHeight - offsetY);
+};
+
+// Every kind of collectible by name
+Collectible.KINDS = {};
+
+/* Add a kind of collectible. A kind has:
+ *
+ *   label     - its name for the HUD
+ *   sprite    - the image it's drawn with
+ *   duration  - seconds its effect lasts, Infinity until the level ends and
+ *               left out for things that happen once when picked up
+ *   collect   - function(game, player) called when it's picked up, with the
+ *               player who picked it up
+ *   modify    - modifier functions used while it's active, see above
+ *   available - function(level) for kinds that only work on some levels
+ */
+Collectible.define = function(name, kind) {
+  Collectible.KINDS[name] = kind;
+};
+
+// An extra life and some points
+Collectible.define('heart', {
+  label: 'Heart',
+  sprite: 'assets/img/heart.png',
+  collect: function(game, player) {
+    player.lives += 1;
+    game.score(50, player);
+    game.emit('lives', player.lives, player);
+    game.emit('heart', player);
+  }
+});
+
+// Enemies drive straight through the player
+Collectible.define('shield', {
+  label: 'Shield',
+  sprite: 'assets/img/shield.png',
+  duration: 5,
+  modify: {
+    hit: function() {
+      return false;
+    }
+  }
+});
+
+// Enemies drive at half speed
+Collectible.define('slow', {
+  label: 'Slow Time',
+  sprite: 'assets/img/clock.png',
+  duration: 6,
+  modify: {
+    enemySpeed: function(speed) {
+      return speed / 2;
+    }
+  }
+});
+
+// Room for one more box
+Collectible.define('carry', {
+  label: 'Extra Carry',
+  sprite: 'assets/img/extra-carry.png',
+  duration: 15,
+  modify: {
+    capacity: function(capacity) {
+      return capacity + 1;
+    }
+  }
+});
+
+// Deliveries are worth double
+Collectible.define('multiplier', {
+  label: 'Double Points',
+  sprite: 'assets/img/multiplier.png',
+  duration: 10,
+  modify: {
+    points: function(points) {
+      return points * 2;
+    }
+  }
+});
+
+// Opens the level's shortcut once, see Shortcut in app.js
+Collectible.define('key', {
+  label: 'Key',
+  sprite: 'assets/img/Key.png',
+  duration: Infinity,
+  available: function(level) {
+    return !!level.shortcut;
+  }
+});
+
+/* Looks after the collectibles of a game: putting them on the board as often
+ * as the level says, letting the players pick them up and counting down the
+ * power-ups that are active. Power-ups work for every player, whoever picked
+ * them up.
+ */
+var Collectibles = function(game) {
+  this.game = game;
+  this.items = []; // collectibles on the board
+  this.effects = []; // active power-ups, { kind, timeLeft }
+  this.timers = []; // the game clock's timers putting each kind out, see clock.js
+};
+
+// Clear the board and start the level's timers, power-ups carry over to the next level
+Collectibles.prototype.setup = function() {
+  var collectibles = this,
+      game = this.game,
+      rules = game.level.collectibles;
+
+  this.items = [];
+  this.timers.forEach(function(timer) {
+    game.clock.cancel(timer);
+  });
+  this.timers = Object.keys(rules).map(function(kind) {
+    return game.clock.every(rules[kind].every, function() {
+      collectibles.spawn(kind, rules[kind].lasts);
+    });
+  });
+
+  // Whatever only lasts the level, like a key for its shortcut, is gone
+  this.effects.filter(function(effect) {
+    return effect.timeLeft === Infinity;
+  }).forEach(function(effect) {
+    this.end(effect.kind);
+  }, this);
+};
+
+// Called every step once the player and enemies have moved
+Collectibles.prototype.update = function(dt) {
+  var game = this.game;
+
+  // Count down the active power-ups
+  this.effects.filter(function(effect) {
+    effect.timeLeft -= dt;
+    return effect.timeLeft <= 0;
+  }).forEach(function(effect) {
+    this.end(effect.kind);
+  }, this);
+
+  // Pick up or take away whatever is on the board
+  this.items = this.items.filter(function(item) {
+    var player = game.activePlayers().filter(function(player) {
+      return player.collects(item);
+    })[0];
+    if(player) {
+      this.collect(item.kind, player);
+      return false;
+    }
+    return item.expires > game.time;
+  }, this);
+};
+
+// Put a collectible on a random free spot in the enemy lanes, if there is one
+Collectibles.prototype.spawn = function(kind, lasts) {
+  var game = this.game,
+      taken = game.boxes.concat(this.items),
+      spots = [];
+
+  game.level.enemyRows.forEach(function(y) {
+    for(var x = 0; x < game.level.cols; x++) {
+      spots.push({ x: x, y: y });
+    }
+  });
+  spots = spots.filter(function(spot) {
+    return !taken.some(function(thing) {
+      return thing.x === spot.x && thing.y === spot.y;
+    });
+  });
+
+  if(spots.length) {
+    var spot = game.random.pick(spots);
+    this.items.push(new Collectible(game, kind, spot.x, spot.y, lasts));
+  }
+};
+
+// Give a player what a collectible does, power-ups picked up again start over
+Collectibles.prototype.collect = function(kind, player) {
+  var game = this.game,
+      definition = Collectible.KINDS[kind],
+      effect = this.effect(kind);
+
+  player = player || game.player;
+  if(definition.collect) {
+    definition.collect(game, player);
+  }
+  if(definition.duration) {
+    if(effect) {
+      effect.timeLeft = definition.duration;
+    } else {
+      this.effects.push({ kind: kind, timeLeft: definition.duration });
+      this.changed();
+    }
+  }
+  game.emit('collect', kind, player);
+};
+
+// Stop a power-up before its time is up, like a key being used
+Collectibles.prototype.end = function(kind) {
+  var effect = this.effect(kind);
+
+  if(effect) {
+    this.effects.splice(this.effects.indexOf(effect), 1);
+    // Boxes there's no longer room for fall back onto the board
+    this.game.players.forEach(function(player) {
+      player.dropExtra();
+    });
+    this.changed();
+  }
+};
+
+// Let the players and the page know the power-ups changed
+Collectibles.prototype.changed = function() {
+  var game = this.game;
+  game.players.forEach(function(player) {
+    game.emit('carrying', player.carrying.length, player.maxCarry(), player);
+  });
+  game.emit('effects', this.active());
+};
+
+// Take away every power-up, for a new game
+Collectibles.prototype.clear = function() {
+  this.items = [];
+  this.effects = [];
+};
+
+Collectibles.prototype.effect = function(kind) {
+  return this.effects.filter(function(effect) {
+    return effect.kind === kind;
+  })[0] || null;
+};
+
+Collectibles.prototype.isActive = function(kind) {
+  return !!this.effect(kind);
+};
+
+// The active power-ups for the HUD, timeLeft is Infinity for ones that last the level
+Collectibles.prototype.active = function() {
+  return this.effects.map(function(effect) {
+    var definition = Collectible.KINDS[effect.kind];
+    return {
+      kind: effect.kind,
+      label: definition.label,
+      timeLeft: effect.timeLeft,
+      duration: definition.duration
+    };
+  });
+};
+
+// Run a value through the modifiers of every active power-up, see the top of the file
+Collectibles.prototype.modify = function(name, value) {
+  this.effects.forEach(function(effect) {
+    var modify = Collectible.KINDS[effect.kind].modify;
+    if(modify && modify[name]) {
+      value = modify[name](value);
+    }
+  });
+  return value;
+};
+
@@ -0,0 +1,234 @@
+/* Dashboard.js
+ * Fills in the pages next to the game. The stats page (stats.html) shows the
+ * games kept by Stats (stats.js): totals, the points scored game by game,
+ * boxes saved and lost in each game, the lanes where the most players get
+ * hit or boxes get run over and a heatmap of where players get hit on each
+ * level. The achievements page (achievements.html) lists every achievement
+ * (achievements.js) and how far along it is. Each only does anything on its
+ * own page, found by #stats_dashboard and #achievements_list.
+ */
+var Dashboard = (function() {
+    var $doc = $(document),
+        stats = new Stats(),
+        achievements = new Achievements(),
+        levels = []; // the level definitions, for names and board sizes once they're loaded
+
+    // How many of the latest games the chart and the game list show
+    var recentGames = 50;
+
+    // Draw everything again from the kept sessions
+    function refresh() {
+        var sessions = stats.list(),
+            summary = Stats.summarize(sessions),
+            dangerous = summary.lanes[0];
+
+        $('#stats_games').text(summary.games);
+        $('#stats_saved').text(summary.saved);
+        $('#stats_lost').text(summary.lost);
+        $('#stats_delivery_time').text(summary.averageDeliveryTime === null ?
+            '-' : summary.averageDeliveryTime.toFixed(1) + 's');
+        $('#stats_dangerous_lane').text(dangerous ? laneName(dangerous) : '-');
+        $('#stats_empty').toggleClass('hide', sessions.length > 0);
+
+        renderTrend(summary.trend.slice(-recentGames));
+        renderSessions(sessions.slice(-recentGames).reverse());
+        renderLanes(summary.lanes);
+        renderHeatmaps(summary.heatmap);
+    }
+
+    function levelFor(number) {
+        return levels[Math.min(number, levels.length) - 1] || null;
+    }
+
+    // Like "Downtown lane 2", numbered the way the lane viewer under the game does
+    function laneName(lane) {
+        var level = levelFor(lane.level),
+            index = level ? level.enemyRows.indexOf(lane.row) : -1;
+
+        return (level ? level.name : 'Level ' + lane.level) + ' ' +
+            (index === -1 ? 'row ' + (lane.row + 1) : 'lane ' + (index + 1));
+    }
+
+    // A line chart of the points scored in each game, oldest on the left, over a line at zero
+    function renderTrend(trend) {
+        var canvas = $('#stats_trend')[0],
+            ctx = canvas.getContext('2d'),
+            width = canvas.width,
+            height = canvas.height,
+            margin = 20,
+            points = trend.map(function(game) {
+                return game.points;
+            }),
+            max = Math.max.apply(null, points.concat([0])),
+            min = Math.min.apply(null, points.concat([0])),
+            range = max - min || 1;
+
+        function x(index) {
+            return margin + (trend.length > 1 ? index * (width - margin * 2) / (trend.length - 1) : (width - margin * 2) / 2);
+        }
+        function y(value) {
+            return height - margin - (value - min) * (height - margin * 2) / range;
+        }
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = '#ccc';
+        ctx.beginPath();
+        ctx.moveTo(margin, y(0));
+        ctx.lineTo(width - margin, y(0));
+        ctx.stroke();
+
+        ctx.fillStyle = '#666';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(max, 2, margin - 6);
+        ctx.fillText(min, 2, height - 4);
+
+        ctx.strokeStyle = '#1779ba';
+        ctx.fillStyle = '#1779ba';
+        ctx.beginPath();
+        points.forEach(function(value, index) {
+            if(index === 0) {
+                ctx.moveTo(x(index), y(value));
+            } else {
+                ctx.lineTo(x(index), y(value));
+            }
+        });
+        ctx.stroke();
+        points.forEach(function(value, index) {
+            ctx.fillRect(x(index) - 2, y(value) - 2, 4, 4);
+        });
+    }
+
+    // The latest games, newest first
+    function renderSessions(sessions) {
+        $('#stats_sessions tbody').empty().append(sessions.map(function(session) {
+            return $('<tr>').append([
+                session.date.slice(0, 10),
+                session.mode,
+                session.level,
+                Screens.formatTime(session.time),
+                session.saved,
+                session.lost,
+                session.points
+            ].map(function(value) {
+                return $('<td>').text(value);
+            }));
+        }));
+    }
+
+    function renderLanes(lanes) {
+        $('#stats_lanes tbody').empty().append(lanes.map(function(lane) {
+            return $('<tr>').append([laneName(lane), lane.deaths, lane.lost].map(function(value) {
+                return $('<td>').text(value);
+            }));
+        }));
+    }
+
+    /* A grid for each level the size of its board, each tile shaded by how
+     * many times players were hit on it compared to the worst tile.
+     */
+    function renderHeatmaps(heatmap) {
+        var $heatmaps = $('#stats_heatmaps').empty();
+
+        Object.keys(heatmap).sort(function(a, b) {
+            return a - b;
+        }).forEach(function(number) {
+            var cells = heatmap[number],
+                level = levelFor(+number),
+                max = 0,
+                cols = level ? level.cols : 0,
+                rows = level ? level.rows.length : 0,
+                $table = $('<table class="heatmap">');
+
+            Object.keys(cells).forEach(function(cell) {
+                var xy = cell.split(',');
+                max = Math.max(max, cells[cell]);
+                cols = Math.max(cols, +xy[0] + 1);
+                rows = Math.max(rows, +xy[1] + 1);
+            });
+
+            for(var y = 0; y < rows; y++) {
+                var $row = $('<tr>');
+                for(var x = 0; x < cols; x++) {
+                    var count = cells[x + ',' + y] || 0;
+                    $('<td>').text(count || '')
+                        .css('background-color', 'rgba(204, 75, 55, ' + (count / max).toFixed(2) + ')')
+                        .appendTo($row);
+                }
+                $table.append($row);
+            }
+
+            $('<div class="heatmap-level">')
+                .append($('<h5>').text(level ? number + ': ' + level.name : 'Level ' + number))
+                .append($table)
+                .appendTo($heatmaps);
+        });
+    }
+
+    // Every achievement, the unlocked ones with when and the rest with how close they are
+    function renderAchievements() {
+        var list = achievements.list(),
+            unlocked = list.filter(function(achievement) {
+                return achievement.unlocked;
+            });
+
+        $('#achievements_unlocked').text(unlocked.length + ' of ' + list.length);
+        $('#achievements_list').empty().append(list.map(function(achievement) {
+            var status = achievement.unlocked ? 'Unlocked ' + achievement.unlocked.slice(0, 10) :
+                achievement.count > 1 ? achievement.progress + ' of ' + achievement.count : 'Locked';
+
+            return $('<li class="achievement">')
+                .toggleClass('unlocked', !!achievement.unlocked)
+                .append($('<strong>').text(achievement.title))
+                .append($('<div>').text(achievement.description))
+                .append($('<small>').text(status));
+        }));
+    }
+
+    $doc.on('click', '[data-stats="clear"]', function(e) {
+        e.preventDefault();
+        stats.clear(function(err) {
+            if(err) {
+                console.error('Could not clear stats: ' + err.message);
+            }
+            refresh();
+        });
+    });
+
+    if($('#stats_dashboard').length) {
+        stats.load(function(err) {
+            if(err) {
+                console.error('Could not load stats: ' + err.message);
+            }
+            refresh();
+        });
+        // Names and board sizes make the lanes and heatmaps easier to read, but aren't needed
+        Resources.load('assets/data/levels.json').then(function(data) {
+            levels = Level.loadAll(data);
+            refresh();
+        }, function(err) {
+            console.error('Could not load the levels: ' + err.message);
+        });
+    }
+
+    $doc.on('click', '[data-achievements="clear"]', function(e) {
+        e.preventDefault();
+        achievements.clear(function(err) {
+            achievements.reportError(err);
+            renderAchievements();
+        });
+    });
+
+    if($('#achievements_list').length) {
+        achievements.load(function(err) {
+            if(err) {
+                console.error('Could not load achievements: ' + err.message);
+            }
+            renderAchievements();
+        });
+    }
+
+    return {
+        refresh: refresh,
+        renderAchievements: renderAchievements
+    };
+})();
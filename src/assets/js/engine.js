@@ -9,12 +9,30 @@
  * drawn but that is not the case. What's really happening is the entire "scene"
  * is being drawn over and over, presenting the illusion of animation.
  *
+ * The game state itself lives in a Simulation (simulation.js) which runs
+ * without a canvas or DOM. The engine drives it with real time, draws it with
+ * a HUD (hud.js) over the board and keeps the lane viewer on the page in
+ * sync with the events it emits. Every
+ * game is recorded as a Replay (replay.js) which the engine can also play
+ * back instead of the live game, or show a game being played on a game
+ * server through a NetworkClient (network.js).
+ *
+ * Which screen is showing (title, playing, paused and so on) is tracked by a
+ * StateMachine (state-machine.js), every frame is handed to the current
+ * state to update and draw. Player input from the keyboard, touch screen or
+ * a gamepad comes in through Input (input.js).
+ *
+ * The board is drawn in layers by a Renderer (renderer.js), which keeps
+ * everything standing on it in order by row and shakes and flashes it when
+ * something hits hard. Particles (particles.js) are thrown for what happens
+ * in the game being shown.
+ *
  * This engine is available globally via the Engine variable and it also makes
  * the canvas' context (ctx) object globally available to make writing app.js
  * a little simpler to work with.
  */
 
-var Engine = (function() {
+var Engine = (function(global) {
     /* Predefine the variables we'll be using within this scope,
      * create the canvas element, grab the 2D context for that canvas
      * set the canvas elements height/width and add it to the DOM.
@@ -23,12 +41,451 @@ var Engine = (function() {
         $win = $(window),
         $canvas = $('<canvas width="505" height="606"></canvas>'),
         ctx = $canvas[0].getContext('2d'),
-        start = false,
+        game,
+        liveGame,
+        replay,
+        lastReplay,
+        playback = null,
+        client, // the connection to a game server, see network.js
+        highScores = new HighScores(),
+        stats = new Stats(),
+        achievements = new Achievements(),
+        toasts = [], // achievements waiting to be shown, the first one is showing
+        animator = new Animator(), // tweens and effects for the game being shown, see animation.js
+        particles = new Particles(), // dust, sparks and confetti, see particles.js
+        renderer = new Renderer(), // draws the board in layers and shakes and flashes it, see renderer.js
+        hud = new Hud(), // the points, lives, level and timers drawn over the board, see hud.js
+        levels,
+        characters,
+        picked, // the characters picked, one per player
+        mode = 'single', // how the players play together, see Simulation.MODES
+        timeMode = 'endless', // how long a game lasts, see Simulation.TIME_MODES
+        loadError = null,
         lastTime;
 
     $canvas.width = 505;
     $canvas.height = 606;
     $('#canvas_container').append($canvas);
+    fitCanvas();
+
+    // Height of a tile image and the space left under the bottom row
+    var tileHeight = 171,
+        bottomMargin = 35;
+
+    /* The longest frame handed on, in seconds. Coming back to a tab that was
+     * hidden would otherwise run all the time it was away in one frame.
+     */
+    var maxFrameLength = 0.25;
+
+    // Seconds the level complete screen is shown for
+    var levelCompleteLength = 2.5;
+
+    // Seconds an achievement's toast is shown for, and how long it takes to fade in or out
+    var toastLength = 3,
+        toastFade = 0.3;
+
+    // Seconds the board shakes and flashes for
+    var shakeLength = 0.4,
+        flashLength = 0.3;
+
+    /* The layers the board is drawn in, bottom first: the tiles, whatever
+     * lies flat on them, everything standing on the board drawn by row so
+     * nearer things overlap farther ones, the particles and the HUD over it
+     * all, which stays put while the board shakes.
+     */
+    renderer.layer('tiles')
+        .layer('ground')
+        .layer('entities', { sorted: true })
+        .layer('particles')
+        .layer('hud', { fixed: true });
+
+    // Actions that move the player
+    var directions = ['left', 'up', 'right', 'down'];
+
+    // The names of the game modes, in the order they're picked from
+    var modeNames = {
+            single: '1 Player',
+            coop: '2 Players Co-op',
+            versus: '2 Players Versus'
+        },
+        modes = Object.keys(modeNames);
+
+    // Sound effects by name and the music played during a game
+    var soundEffects = {
+            pickup: 'assets/audio/pickup.wav',
+            deliver: 'assets/audio/deliver.wav',
+            ranover: 'assets/audio/ranover.wav',
+            hit: 'assets/audio/hit.wav',
+            heart: 'assets/audio/heart.wav',
+            levelup: 'assets/audio/levelup.wav',
+            gameover: 'assets/audio/gameover.wav'
+        },
+        musicTrack = 'assets/audio/music.wav';
+
+    // The sound effect played for each thing that can happen in a game
+    var eventSounds = {
+        pickup: 'pickup',
+        delivered: 'deliver',
+        ranover: 'ranover',
+        hit: 'hit',
+        collect: 'heart',
+        shortcut: 'levelup',
+        level: 'levelup',
+        gameover: 'gameover'
+    };
+
+    // How hard the board shakes, in pixels, and the color it flashes for things that happen in a game
+    var eventScreenEffects = {
+        ranover: { shake: 4 },
+        hit: { shake: 10, flash: 'rgba(255, 65, 54, 0.5)' },
+        level: { flash: 'rgba(255, 255, 255, 0.7)' },
+        gameover: { shake: 6 }
+    };
+
+    // The particles thrown for things that happen in a game, from where they happen
+    var eventParticles = {
+        input: function(game, direction, frame, index) {
+            var player = game.players[index];
+            particles.emit('dust', player.x, player.y);
+        },
+        push: function(game, obstacle) {
+            particles.emit('dust', obstacle.x, obstacle.y);
+        },
+        ranover: function(game, box) {
+            particles.emit('sparks', box.x, box.y);
+        },
+        delivered: function(game, box, delivered, player) {
+            particles.emit('confetti', player.x, player.y);
+        }
+    };
+
+    /* The screens of the game and which ones each can move on to. The live
+     * game only moves forward while we're 'playing', every other state
+     * leaves it (and its timer) where it is.
+     */
+    var states = new StateMachine({
+        loading: {
+            to: ['title'],
+            render: function() {
+                Screens.loading(ctx, Resources.progress(), loadError);
+            },
+            input: function(action) {
+                if(action === 'confirm' && loadError) {
+                    loadError = null;
+                    preload();
+                }
+            }
+        },
+        // Up and down pick the time mode
+        title: {
+            to: ['select', 'replay', 'high-scores', 'online'],
+            render: function() {
+                render();
+                Screens.title(ctx, Simulation.TIME_MODES[timeMode].name);
+            },
+            input: function(action) {
+                var timeModes = Object.keys(Simulation.TIME_MODES),
+                    next;
+
+                if(action === 'up' || action === 'down') {
+                    next = timeModes.indexOf(timeMode) + (action === 'up' ? -1 : 1);
+                    timeMode = timeModes[(next + timeModes.length) % timeModes.length];
+                } else if(action === 'confirm') {
+                    states.go('select');
+                } else if(action === 'scores') {
+                    states.go('high-scores');
+                }
+            }
+        },
+        /* Up and down pick the mode, then each player picks a character in
+         * turn. Quit goes back a player, or to the title from the first.
+         */
+        select: {
+            to: ['playing', 'title', 'replay', 'online'],
+            enter: function() {
+                this.mode = mode;
+                this.picks = [];
+                this.index = characters.indexOf(picked[0]);
+            },
+            render: function() {
+                render();
+                Screens.characterSelect(ctx, characters, this.index, {
+                    mode: modeNames[this.mode],
+                    player: Simulation.MODES[this.mode].players > 1 ? this.picks.length + 1 : null,
+                    changeMode: this.picks.length === 0
+                });
+            },
+            input: function(action) {
+                var next;
+
+                if(action === 'left' || action === 'right') {
+                    this.index = (this.index + (action === 'left' ? -1 : 1) + characters.length) % characters.length;
+                } else if((action === 'up' || action === 'down') && this.picks.length === 0) {
+                    next = modes.indexOf(this.mode) + (action === 'up' ? -1 : 1);
+                    this.mode = modes[(next + modes.length) % modes.length];
+                } else if(action === 'confirm') {
+                    this.picks.push(characters[this.index]);
+                    if(this.picks.length < Simulation.MODES[this.mode].players) {
+                        // The next player starts on their pick from last time, or the next one along
+                        next = picked[this.picks.length];
+                        this.index = next ? characters.indexOf(next) : (this.index + 1) % characters.length;
+                        return;
+                    }
+                    picked = this.picks;
+                    mode = this.mode;
+                    saveCharacter(picked[0]);
+                    newGame();
+                } else if(action === 'quit') {
+                    if(this.picks.length) {
+                        this.index = characters.indexOf(this.picks.pop());
+                    } else {
+                        states.go('title');
+                    }
+                }
+            }
+        },
+        'high-scores': {
+            to: ['title', 'replay', 'online'],
+            enter: function(data) {
+                this.highlight = data ? data.rank : -1;
+            },
+            render: function() {
+                render();
+                Screens.highScores(ctx, highScores.list(), this.highlight);
+            },
+            input: function(action) {
+                if(action === 'confirm' || action === 'quit' || action === 'scores') {
+                    states.go('title');
+                }
+            }
+        },
+        playing: {
+            to: ['paused', 'level-complete', 'game-over', 'replay', 'online'],
+            update: function(dt) {
+                update(dt);
+            },
+            render: function() {
+                render();
+            },
+            input: function(action, player) {
+                if(action === 'pause') {
+                    states.go('paused');
+                } else if(directions.indexOf(action) !== -1) {
+                    // Anyone can move the only player of a single player game
+                    game.input(action, player < game.players.length ? player : 0);
+                }
+            }
+        },
+        paused: {
+            to: ['playing', 'title', 'replay', 'online'],
+            render: function() {
+                render();
+                Screens.paused(ctx);
+            },
+            input: function(action) {
+                if(action === 'pause' || action === 'confirm') {
+                    states.go('playing');
+                } else if(action === 'quit') {
+                    states.go('title');
+                }
+            }
+        },
+        'level-complete': {
+            to: ['playing', 'paused', 'replay', 'online'],
+            enter: function(data) {
+                this.level = data.number - 1;
+                this.next = data.level.name;
+                this.remaining = levelCompleteLength;
+            },
+            update: function(dt) {
+                this.remaining -= dt;
+                if(this.remaining <= 0) {
+                    states.go('playing');
+                }
+            },
+            render: function() {
+                render();
+                Screens.levelComplete(ctx, this.level, this.next, Math.min(1, this.remaining / 0.5));
+            },
+            input: function(action) {
+                if(action === 'confirm') {
+                    states.go('playing');
+                } else if(action === 'pause') {
+                    states.go('paused');
+                }
+            }
+        },
+        'game-over': {
+            to: ['title', 'playing', 'replay', 'high-scores', 'online'],
+            enter: function() {
+                var ranked = game.players.slice().sort(function(a, b) {
+                    return b.points - a.points;
+                });
+
+                lastReplay = replay.stop();
+                stats.add(Stats.session(game), function(err) {
+                    if(err) {
+                        console.error('Could not save stats: ' + err.message);
+                    }
+                });
+                this.stats = {
+                    points: game.points,
+                    saved: game.players.reduce(function(saved, player) {
+                        return saved + player.deliveries.length;
+                    }, 0),
+                    lost: game.boxesLost.length,
+                    level: game.player.level,
+                    time: game.time,
+                    timeMode: game.timeMode === 'endless' ? null : Simulation.TIME_MODES[game.timeMode].name,
+                    timeUp: game.timeLeft() === 0
+                };
+                if(game.players.length > 1) {
+                    this.stats.players = game.players.map(function(player) {
+                        return {
+                            name: playerName(player),
+                            points: player.points,
+                            saved: player.deliveries.length
+                        };
+                    });
+                }
+                // Versus games are won by whoever scored the most, the best score goes on the table
+                if(game.mode === 'versus') {
+                    this.stats.points = ranked[0].points;
+                    this.stats.winner = ranked[0].points > ranked[1].points ? playerName(ranked[0]) : null;
+                }
+                // Good enough for the table, so ask for initials
+                this.stats.initials = highScores.qualifies(this.stats.points) ? '' : undefined;
+            },
+            render: function() {
+                render();
+                Screens.gameOver(ctx, this.stats);
+            },
+            input: function(action) {
+                var stats = this.stats;
+
+                // While initials are being typed only Enter does anything
+                if(stats.initials !== undefined) {
+                    if(action === 'confirm' && stats.initials.length > 0) {
+                        highScores.add(stats, function(err, rank) {
+                            if(err) {
+                                console.error('Could not save high score: ' + err.message);
+                            }
+                            states.go('high-scores', { rank: rank });
+                        });
+                    }
+                } else if(action === 'confirm') {
+                    newGame();
+                } else if(action === 'scores') {
+                    states.go('high-scores');
+                } else if(action === 'quit') {
+                    states.go('title');
+                }
+            },
+            // Letters are going into the initials rather than being used as keys
+            typing: function() {
+                return this.stats.initials !== undefined;
+            },
+            type: function(character) {
+                if(this.stats.initials !== undefined) {
+                    this.stats.initials = HighScores.cleanInitials(this.stats.initials + character);
+                }
+            },
+            erase: function() {
+                if(this.stats.initials !== undefined) {
+                    this.stats.initials = this.stats.initials.slice(0, -1);
+                }
+            }
+        },
+        replay: {
+            to: ['title', 'paused', 'replay', 'online'],
+            enter: function(recording) {
+                playback = new ReplayPlayer(recording, { levels: levels, characters: characters });
+                game = playback.game;
+                animator.watch(game);
+                hud.watch(game);
+                bindEffects(game);
+                bindBoard(game);
+
+                $('#replay_seek').attr('max', recording.frames).val(0);
+                $('#replay_playback').removeClass('hide');
+                updatePlaybackControls();
+            },
+            exit: function() {
+                playback = null;
+                game = liveGame;
+                animator.watch(game);
+                hud.watch(game);
+                sizeCanvas(game.level);
+                renderLanes(game);
+                $('#replay_playback').addClass('hide');
+            },
+            update: function(dt) {
+                update(dt);
+            },
+            render: function() {
+                render();
+                Screens.badge(ctx, playback.paused ? 'REPLAY (PAUSED)' : 'REPLAY ' + playback.speed + 'x');
+            },
+            input: function(action) {
+                if(action === 'pause') {
+                    togglePlayback();
+                } else if(action === 'quit') {
+                    stopWatching();
+                }
+            }
+        },
+        /* A game running on a game server. The server decides what happens,
+         * moves are sent to it and what it sends back is drawn. Like a
+         * replay, the live game waits, paused, until we're done.
+         */
+        online: {
+            to: ['title', 'paused', 'replay', 'online'],
+            enter: function() {
+                this.results = null;
+                game = client.game;
+                animator.watch(game);
+                hud.watch(game);
+                sizeCanvas(game.level);
+                bindBoard(game);
+            },
+            exit: function() {
+                game = liveGame;
+                animator.watch(game);
+                hud.watch(game);
+                sizeCanvas(game.level);
+                renderLanes(game);
+            },
+            update: function(dt) {
+                client.update();
+                animate(dt);
+            },
+            render: function() {
+                var hint;
+
+                render();
+                if(this.results) {
+                    hint = (this.results.reason ? this.results.reason + '. ' : '') + 'Enter to go back';
+                    Screens.gameOver(ctx, this.results, hint);
+                } else {
+                    Screens.badge(ctx, client.room ? 'ONLINE: ' + client.room.name : 'ONLINE');
+                }
+            },
+            input: function(action) {
+                if(this.results) {
+                    if(action === 'confirm' || action === 'quit') {
+                        stopOnline();
+                    }
+                } else if(directions.indexOf(action) !== -1) {
+                    client.input(action);
+                } else if(action === 'quit') {
+                    leaveRoom();
+                }
+            },
+            ended: function(results) {
+                this.results = results;
+            }
+        }
+    });
 
     /* This function serves as the kickoff point for the game loop itself
      * and handles properly calling the update and render methods.
@@ -41,25 +498,22 @@ var Engine = (function() {
          * computer is) - hurray time!
          */
         var now = Date.now(),
-            dt = (now - lastTime) / 1000.0;
+            dt = Math.min((now - lastTime) / 1000.0, maxFrameLength);
 
-        /* Call our update/render functions, pass along the time delta to
-         * our update function since it may be used for smooth animation.
+        /* Check the gamepads, then call our update/render functions through
+         * the current state, pass along the time delta to update since it may
+         * be used for smooth animation.
          */
-        if(start) {
-          update(dt);
-          render();
+        input.poll();
+        states.update(dt);
+        updateEffects(dt);
+        states.render();
+        renderToasts(dt);
 
-          /* Set our lastTime variable which is used to determine the time delta
-           * for the next time this function is called.
-           */
-          lastTime = now;
-          updateTimer(lastTime);
-        }
-
-        if(gameOver) {
-          reset();
-        }
+        /* Set our lastTime variable which is used to determine the time delta
+         * for the next time this function is called.
+         */
+        lastTime = now;
 
         /* Use the browser's requestAnimationFrame function to call this
          * function again as soon as the browser is able to draw another frame.
@@ -67,66 +521,262 @@ var Engine = (function() {
         window.requestAnimationFrame(main);
     }
 
-    // Set the time elapsed
-    function updateTimer(lastTime) {
-      var x = document.getElementById("timer");
-      gameSeconds = new Date(lastTime - startTime).getSeconds();
-      gameMinutes = new Date(lastTime - startTime).getMinutes();
-      gameHours = gameMinutes % 60 ? gameHours : gameHours++;
+    // Show the first achievement waiting, for toastLength seconds, then the next
+    function renderToasts(dt) {
+        var toast = toasts[0];
 
-      x.innerHTML = '<span id="hours">' + addZero(gameHours) + '<span class="time-colon">:</span>' +
-                    '<span id="minutes">' + addZero(gameMinutes) + '<span class="time-colon">:</span>' +
-                    '<span id="seconds">' + addZero(gameSeconds) + '</span>';
-    }
-
-    function addZero(i) {
-      if (i < 10) {
-          i = "0" + i;
-      }
-      return i;
+        if(!toast) {
+            return;
+        }
+        Screens.toast(ctx, 'Achievement: ' + toast.achievement.title, toast.achievement.description,
+            Math.min(1, (toastLength - toast.remaining) / toastFade, toast.remaining / toastFade));
+        toast.remaining -= dt;
+        if(toast.remaining <= 0) {
+            toasts.shift();
+        }
     }
 
     /* This function does some initial setup that should only occur once,
-     * particularly setting the lastTime variable that is required for the
-     * game loop.
+     * once the levels and images are loaded. It creates the live game and
+     * shows the title screen.
      */
     function init() {
-        reset();
-        lastTime = Date.now();
-        main();
+        picked = [Character.find(characters, loadCharacter())];
+        game = liveGame = new Simulation({ levels: levels, characters: picked, mode: mode, timeMode: timeMode });
+        sizeCanvas(game.level);
+        bindBoard(game);
+        bindSounds(game);
+        replay = Replay.record(game);
+        animator.watch(game);
+        hud.watch(game);
+        bindEffects(game);
+        bindClient();
+
+        // Only the live game moves between screens, replays just play out
+        game.on('level', function(number, level) {
+            states.go('level-complete', { number: number, level: level });
+        });
+        game.on('gameover', function() {
+            states.go('game-over');
+        });
+
+        highScores.load(function(err) {
+            if(err) {
+                console.error('Could not load high scores: ' + err.message);
+            }
+        });
+        stats.load(function(err) {
+            if(err) {
+                console.error('Could not load stats: ' + err.message);
+            }
+        });
+        achievements.load(function(err) {
+            if(err) {
+                console.error('Could not load achievements: ' + err.message);
+            }
+        });
+        achievements.track(game);
+        achievements.on('unlock', function(achievement) {
+            toasts.push({ achievement: achievement, remaining: toastLength });
+            Sounds.play('levelup');
+        });
+
+        states.go('title');
     }
 
-    /* This function is called by main (our game loop) and itself calls all
-     * of the functions which may need to update entity's data. Based on how
-     * you implement your collision detection (when two entities occupy the
-     * same space, for instance when your character should die), you may find
-     * the need to add an additional function call here. For now, we've left
-     * it commented out - you may or may not want to implement this
-     * functionality this way (you could just implement collision detection
-     * on the entities themselves within your app.js file).
+    // Fit the canvas to the board of a level
+    function sizeCanvas(level) {
+        var width = level.cols * colWidth,
+            height = (level.rows.length - 1) * rowHeight + tileHeight + bottomMargin;
+
+        $canvas.width = width;
+        $canvas.height = height;
+        Screens.resize(width, height);
+        renderer.resize(width, height);
+        fitCanvas();
+    }
+
+    /* Scale the canvas to fill its column without running off the bottom of
+     * the screen, and give it one backing pixel per screen pixel so it stays
+     * sharp on high-DPI screens. Everything is still drawn in board units
+     * ($canvas.width by $canvas.height), the context's transform scales it.
+     */
+    function fitCanvas() {
+        var ratio = global.devicePixelRatio || 1,
+            available = $('#canvas_container').width() || $canvas.width,
+            scale = Math.min(available / $canvas.width, ($win.height() || $canvas.height) / $canvas.height),
+            cssWidth = Math.floor($canvas.width * scale),
+            cssHeight = Math.floor($canvas.height * scale);
+
+        $canvas.css({ width: cssWidth, height: cssHeight });
+        $canvas.attr({ width: Math.round(cssWidth * ratio), height: Math.round(cssHeight * ratio) });
+
+        // Resizing the canvas resets its context, so this has to come last
+        ctx.setTransform(cssWidth * ratio / $canvas.width, 0, 0, cssHeight * ratio / $canvas.height, 0, 0);
+    }
+
+    // Refit when the window is resized, zoomed or the device is turned
+    $win.on('resize orientationchange', fitCanvas);
+
+    /* Play a sound effect for everything that happens in a game. Only the
+     * live game gets sounds, seeking through a replay would set off dozens
+     * of them at once.
+     */
+    function bindSounds(game) {
+        Object.keys(eventSounds).forEach(function(event) {
+            game.on(event, function() {
+                Sounds.play(eventSounds[event]);
+            });
+        });
+    }
+
+    /* Throw particles and shake or flash the board for what happens in a
+     * game, but only while it's the one being shown. The live game is bound
+     * once, every replay watched has a game of its own.
+     */
+    function bindEffects(shown) {
+        Object.keys(eventScreenEffects).forEach(function(event) {
+            shown.on(event, function() {
+                if(shown === game) {
+                    screenEffect(event);
+                }
+            });
+        });
+        Object.keys(eventParticles).forEach(function(event) {
+            shown.on(event, function() {
+                if(shown === game) {
+                    eventParticles[event].apply(null, [shown].concat(Array.prototype.slice.call(arguments)));
+                }
+            });
+        });
+        shown.on('reset', function() {
+            if(shown === game) {
+                settleEffects();
+            }
+        });
+    }
+
+    function screenEffect(event) {
+        var effect = eventScreenEffects[event];
+
+        if(!effect) {
+            return;
+        }
+        if(effect.shake) {
+            renderer.shake(effect.shake, shakeLength);
+        }
+        if(effect.flash) {
+            renderer.flash(effect.flash, flashLength);
+        }
+    }
+
+    /* Move the particles and screen effects on, whatever screen is showing,
+     * so a shake or flash at the end of a game or a level dies down on the
+     * screen after it rather than getting stuck there.
+     */
+    function updateEffects(dt) {
+        particles.update(dt);
+        renderer.update(dt);
+    }
+
+    // Drop the particles and stop the board shaking, for when everything changes at once
+    function settleEffects() {
+        particles.clear();
+        renderer.reset();
+    }
+
+    // Music plays while a game is going, it's paused on every other screen
+    states.onChange(function(name) {
+        if(name === 'playing' || name === 'level-complete') {
+            Sounds.music(musicTrack);
+        } else if(name === 'game-over') {
+            Sounds.stopMusic();
+        } else {
+            Sounds.pauseMusic();
+        }
+    });
+
+    /* Keep the canvas sized to the level being played and the lane viewer
+     * on the page up to date with whatever happens inside the simulation.
+     * Everything else about the game is on the HUD, see hud.js.
+     */
+    function bindBoard(game) {
+        game.on('level', function(number, level) {
+            sizeCanvas(level);
+            renderLanes(game);
+        });
+        game.on('lanes', showLane);
+        game.on('reset', function() {
+            sizeCanvas(game.level);
+            renderLanes(game);
+        });
+        renderLanes(game);
+    }
+
+    // What a player is called on the screens, like "P1 Boxer Boy"
+    function playerName(player) {
+        return 'P' + (player.index + 1) + ' ' + player.character.name;
+    }
+
+    /* Build the lane viewer for the level being played, a column for each
+     * enemy lane showing how many enemies are queued off the board and how
+     * many are on it.
+     */
+    function renderLanes(game) {
+        var rows = game.level.enemyRows,
+            size = Math.max(1, Math.floor(12 / rows.length));
+
+        $('#enemy_lanes').empty().append(rows.map(function(row, index) {
+            return $('<div class="columns">')
+                .addClass('small-' + size)
+                .toggleClass('end', index === rows.length - 1)
+                .attr('data-lane', row)
+                .append($('<strong>').text('Lane ' + (index + 1)))
+                .append('<div class="lane-queued"></div><div class="lane-on-board"></div>');
+        }));
+        rows.forEach(function(row) {
+            showLane(row, game.lanes.occupancy(row));
+        });
+    }
+
+    function showLane(row, occupancy) {
+        var $lane = $('#enemy_lanes [data-lane="' + row + '"]');
+        $lane.find('.lane-queued').text(occupancy.queued + ' queued');
+        $lane.find('.lane-on-board').text(occupancy.onBoard + ' on board');
+    }
+
+    /* This function is called by the states that run the game and hands
+     * the time delta to whichever simulation is showing.
      */
     function update(dt) {
-      if(!gameOver) {
+      if(!game.gameOver) {
         updateEntities(dt);
-        // checkCollisions();
       }
     }
 
-    /* This is called by the update function and loops through all of the
-     * objects within your allEnemies array as defined in app.js and calls
-     * their update() methods. It will then call the update function for your
-     * player object. These update methods should focus purely on updating
-     * the data/properties related to the object. Do your drawing in your
-     * render methods.
+    /* This is called by the update function and hands the time delta to the
+     * simulation, which turns it into fixed steps and calls the update()
+     * methods of all of the entities defined in app.js. These update methods
+     * should focus purely on updating the data/properties related to the
+     * object. Do your drawing in your render methods.
      */
     function updateEntities(dt) {
-      player.update(dt);
-      allEnemies.forEach(function(enemy) {
-          enemy.update(dt);
-      });
-      box.update();
-      goal.update();
-      heart.update();
+      if(playback) {
+        playback.advance(dt);
+        animate(playback.paused ? 0 : dt * playback.speed);
+        $('#replay_seek').val(game.frame);
+      } else {
+        // A level or the game can end part of the way through, the steps after it wait for the next screen
+        game.advance(dt, function() {
+          return !states.is('playing');
+        });
+        animate(dt);
+      }
+    }
+
+    // Move the animations on with the game
+    function animate(dt) {
+        animator.update(dt);
     }
 
     /* This function initially draws the "game level", it will then call
@@ -136,100 +786,522 @@ var Engine = (function() {
      * they are just drawing the entire screen over and over.
      */
     function render() {
-        /* This array holds the relative URL to the image used
-         * for that particular row of the game level.
+        /* The level holds the relative URL to the image used for each
+         * tile of the board along with the number of columns.
          */
-        var rowImages = [
-                'assets/img/water-block.png',   // Top row is water
-                'assets/img/stone-block.png',   // Row 1 of 3 of stone
-                'assets/img/stone-block.png',   // Row 2 of 3 of stone
-                'assets/img/stone-block.png',   // Row 3 of 3 of stone
-                'assets/img/grass-block.png',   // Row 1 of 2 of grass
-                'assets/img/grass-block.png'    // Row 2 of 2 of grass
-            ],
-            numRows = 6,
-            numCols = 5,
-            row, col;
-
-        /* Loop through the number of rows and columns we've defined above
-         * and, using the rowImages array, draw the correct image for that
-         * portion of the "grid"
+        var rows = game.level.rows,
+            numRows = rows.length,
+            numCols = game.level.cols;
+
+        /* Loop through the number of rows and columns of the level and,
+         * using each row's image, draw the correct image for that
+         * portion of the "grid" on the bottom layer, under everything else.
          */
-        for (row = 0; row < numRows; row++) {
-            for (col = 0; col < numCols; col++) {
-                /* The drawImage function of the canvas' context element
-                 * requires 3 parameters: the image to draw, the x coordinate
-                 * to start drawing and the y coordinate to start drawing.
-                 * We're using our Resources helpers to refer to our images
-                 * so that we get the benefits of caching these images, since
-                 * we're using them over and over.
-                 */
-                ctx.drawImage(Resources.get(rowImages[row]), col * colWidth, row * rowHeight);
+        renderer.add('tiles', function() {
+            var row, col;
+
+            for (row = 0; row < numRows; row++) {
+                for (col = 0; col < numCols; col++) {
+                    /* The drawImage function of the canvas' context element
+                     * requires 3 parameters: the image to draw, the x coordinate
+                     * to start drawing and the y coordinate to start drawing.
+                     * We're using our Resources helpers to refer to our images
+                     * so that we get the benefits of caching these images, since
+                     * we're using them over and over.
+                     */
+                    ctx.drawImage(Resources.get(game.level.tileAt(col, row).image), col * colWidth, row * rowHeight);
+                }
             }
-        }
+        });
 
         renderEntities();
+        renderer.add('hud', function() {
+            hud.render($canvas.width, $canvas.height);
+        });
+        renderer.draw();
     }
 
     /* This function is called by the render function and is called on each game
-     * tick. Its purpose is to then call the render functions you have defined
-     * on your enemy and player entities within app.js
+     * tick. Its purpose is to then put the render functions you have defined
+     * on your enemy and player entities within app.js on the renderer's layers.
      */
     function renderEntities() {
-        // Render all game objects. Order is important so keep player last.
-        goal.render();
-        box.render();
-        heart.render();
-        allEnemies.forEach(function(enemy) {
-            enemy.render();
-        });
-        allRocks.forEach(function(rock) {
-            rock.render();
-        });
-        player.render();
-    }
-
-    /* This function does nothing but it could have been a good place to
-     * handle game reset states - maybe a new game menu or a game over screen
-     * those sorts of things. It's only called once by the init() method.
-     */
-    function reset() {
-        // If the game is over, restart the time and boxes lost array.
-        if(gameOver) {
-          gameOver = !confirm('GAME OVER! Try Again?');
-          startTime = Date.now();
-          boxesLost = [];
-          document.getElementById("boxes_lost").innerHTML = boxesLost.length;
-          player = new Player('assets/img/char-boy.png');
-          box = new Item('assets/img/gem-blue.png', 'indiebox'),
-          points = 0;
-          box.collected = false;
-          document.getElementById("points").innerHTML = points;
-          updateTimer();
+        // Obstacles that lie flat, like bridges, and the goals go under everything else
+        game.obstacles.forEach(function(obstacle) {
+            if(obstacle.type.ground) {
+                renderer.add('ground', obstacle.render.bind(obstacle));
+            }
+        });
+        game.goals.forEach(function(goal) {
+            renderer.add('ground', draw(goal));
+        });
+        renderer.add('ground', animator.render.bind(animator));
+        if(game.shortcut) {
+            renderer.add('ground', game.shortcut.render.bind(game.shortcut));
+        }
+
+        /* Everything else stands on the board and is drawn by row. On the
+         * same row the order is kept, so players stay on top.
+         */
+        game.boxes.forEach(function(box) {
+            renderer.add('entities', draw(box), box.y);
+        });
+        game.collectibles.items.forEach(function(item) {
+            renderer.add('entities', draw(item), item.y);
+        });
+        game.enemies.forEach(function(enemy) {
+            renderer.add('entities', draw(enemy), enemy.y);
+        });
+        game.obstacles.forEach(function(obstacle) {
+            if(!obstacle.type.ground) {
+                renderer.add('entities', obstacle.render.bind(obstacle), obstacle.y);
+            }
+        });
+        game.players.forEach(function(player) {
+            renderer.add('entities', draw(player), player.y);
+        });
+
+        renderer.add('particles', particles.render.bind(particles));
+    }
+
+    // Draws an entity the way the animator says it looks right now
+    function draw(entity) {
+        return function() {
+            animator.draw(entity, entity.render);
+        };
+    }
+
+    // Start a new live game with a fresh seed, keeping the last one's replay
+    function newGame() {
+        if(replay.game) {
+            lastReplay = replay.stop();
+        }
+        game.reset(Random.createSeed(), picked, mode, timeMode);
+        replay = Replay.record(game);
+        states.go('playing');
+    }
+
+    // The id of the character picked last time, kept across visits
+    function loadCharacter() {
+        return Settings.load('indieboxer.character');
+    }
+
+    function saveCharacter(character) {
+        Settings.save('indieboxer.character', character.id);
+    }
+
+    /* Keys, swipes, the on-screen d-pad and gamepads all come through Input
+     * as the same actions and are sent to the current state. Letters go to
+     * states that take typing, like entering initials.
+     */
+    var input = new Input({ element: $canvas[0] });
+
+    input.on('action', function(action, player) {
+        // Mute and fullscreen work on any screen, except where they'd get in the way of typing
+        if(action === 'mute' && !states.call('typing')) {
+            toggleMute();
+        } else if(action === 'fullscreen' && !states.call('typing')) {
+            toggleFullscreen();
         } else {
-          start = confirm('Start game?');
+            states.input(action, player);
+        }
+    });
+    input.on('type', function(character) {
+        states.call('type', character);
+    });
+    input.on('erase', function() {
+        states.call('erase');
+    });
+    input.on('bindings', renderBindings);
+
+    /* List every action with the keys bound to it. Clicking a key waits for
+     * the next key press and binds that one in its place.
+     */
+    function renderBindings() {
+        var $table = $('#key_bindings').empty();
+
+        Input.ACTIONS.forEach(function(action) {
+            var keys = input.bindings[action],
+                $row = $('<tr></tr>').append($('<th></th>').text(action));
+
+            [0, 1].forEach(function(slot) {
+                $('<td></td>').append(
+                    $('<a href="#" class="button small hollow"></a>')
+                        .text(keys[slot] === null ? '-' : Input.keyName(keys[slot]))
+                        .attr({ 'data-bind-action': action, 'data-bind-slot': slot })
+                ).appendTo($row);
+            });
+            $table.append($row);
+        });
+    }
+
+    $doc.on('click', '[data-bind-action]', function(e) {
+        var $button = $(this);
+
+        e.preventDefault();
+        $button.text('Press a key...').removeClass('hollow');
+        input.capture(function(keyCode) {
+            input.bind($button.data('bind-action'), $button.data('bind-slot'), keyCode);
+        });
+    });
+
+    $doc.on('click', '[data-bindings="reset"]', function(e) {
+        e.preventDefault();
+        input.resetBindings();
+    });
+
+    // Show the sound settings and keep them in step with the mute key
+    function updateSoundControls() {
+        $('[data-sound="mute"]').text(Sounds.isMuted() ? 'Unmute' : 'Mute')
+            .toggleClass('hollow', Sounds.isMuted());
+        $('#sound_volume').val(Math.round(Sounds.volume() * 100));
+    }
+
+    function toggleMute() {
+        Sounds.toggleMute();
+        updateSoundControls();
+    }
+
+    $doc.on('click', '[data-sound="mute"]', function(e) {
+        e.preventDefault();
+        toggleMute();
+    });
+
+    $doc.on('input change', '#sound_volume', function() {
+        Sounds.volume(this.value / 100);
+    });
+
+    updateSoundControls();
+
+    /* Show the game on the whole screen, or go back. Everything about the
+     * game is drawn on the canvas, so it all comes along.
+     */
+    function toggleFullscreen() {
+        var doc = document,
+            container = $('#canvas_container')[0];
+
+        if(doc.fullscreenElement || doc.webkitFullscreenElement) {
+            (doc.exitFullscreen || doc.webkitExitFullscreen).call(doc);
+        } else if(container.requestFullscreen) {
+            container.requestFullscreen();
+        } else if(container.webkitRequestFullscreen) {
+            container.webkitRequestFullscreen();
         }
     }
 
-    /* Go ahead and load all of the images we know we're going to need to
-     * draw our game level. Then set init as the callback method, so that when
-     * all of these images are properly loaded our game will start.
+    $doc.on('click', '[data-fullscreen]', function(e) {
+        e.preventDefault();
+        toggleFullscreen();
+    });
+
+    // The canvas fills the screen while it's fullscreen, and its column again after
+    $doc.on('fullscreenchange webkitfullscreenchange', fitCanvas);
+
+    // Only show the d-pad on devices that can touch it
+    if('ontouchstart' in global || (global.navigator && global.navigator.maxTouchPoints > 0)) {
+        $('#dpad').removeClass('hide');
+    }
+
+    renderBindings();
+
+    /* The replay to save or watch, a copy of the game being played or the
+     * last finished game if the current one hasn't started yet.
      */
-    window.Resources.load([
-      'assets/img/stone-block.png',
-      'assets/img/water-block.png',
-      'assets/img/grass-block.png',
-      'assets/img/enemy-bug.png',
-      'assets/img/char-boy.png',
-      'assets/img/gem-blue.png',
-      'assets/img/gem-green.png',
-      'assets/img/gem-orange.png',
-      'assets/img/heart.png',
-      'assets/img/rock.png',
-      'assets/img/star.png',
-      'assets/img/selector.png'
-    ]);
+    function currentReplay() {
+        if(playback) {
+            return playback.replay;
+        }
+        if(replay.length() > 0 || !lastReplay) {
+            return Replay.load(replay.toJSON());
+        }
+        return lastReplay;
+    }
 
-    window.Resources.onReady(init);
+    /* Switch the engine over to playing back a replay. The live game is left
+     * where it was and picks up again, paused, when playback is stopped. An
+     * online game can't wait for us, so its room is left first.
+     */
+    function watch(recording) {
+        if(liveGame) {
+            if(states.is('online')) {
+                client.leave();
+                showRoom(null);
+            }
+            states.go('replay', recording);
+        }
+    }
 
+    // Stop playback and go back to the live game
+    function stopWatching() {
+        if(states.is('replay')) {
+            states.go(liveGameStarted() ? 'paused' : 'title');
+        }
+    }
+
+    // True when the live game has been started and isn't over yet
+    function liveGameStarted() {
+        return liveGame.frame > 0 && !liveGame.gameOver;
+    }
+
+    function togglePlayback() {
+        if(playback.paused) {
+            playback.resume();
+        } else {
+            playback.pause();
+        }
+        updatePlaybackControls();
+    }
+
+    function updatePlaybackControls() {
+        $('[data-replay="toggle"]').text(playback.paused ? 'Play' : 'Pause');
+        $('[data-replay-speed]').each(function() {
+            $(this).toggleClass('hollow', +$(this).data('replay-speed') !== playback.speed);
+        });
+    }
+
+    // Download the replay as a JSON file
+    function saveReplay() {
+        var recording = currentReplay(),
+            blob = new Blob([recording.save()], { type: 'application/json' }),
+            link = document.createElement('a');
+
+        link.href = URL.createObjectURL(blob);
+        link.download = 'indieboxer-replay-' + recording.seed + '.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Read a replay JSON file picked by the player and watch it
+    function loadReplay(file) {
+        var reader = new FileReader();
+        reader.onload = function() {
+            var recording;
+            try {
+                recording = Replay.load(reader.result);
+            } catch(err) {
+                replayStatus('Could not load replay: ' + err.message);
+                return;
+            }
+            replayStatus('');
+            watch(recording);
+        };
+        reader.readAsText(file);
+    }
+
+    function replayStatus(message) {
+        $('#replay_status').text(message);
+    }
+
+    $doc.on('click', '[data-replay]', function(e) {
+        e.preventDefault();
+        switch($(this).data('replay')) {
+          case 'save':
+            if(liveGame) {
+              saveReplay();
+            }
+            break;
+          case 'watch':
+            watch(currentReplay());
+            break;
+          case 'toggle':
+            togglePlayback();
+            break;
+          case 'exit':
+            stopWatching();
+            break;
+        }
+    });
+
+    $doc.on('click', '[data-replay-speed]', function(e) {
+        e.preventDefault();
+        if(playback) {
+            playback.setSpeed(+$(this).data('replay-speed'));
+            updatePlaybackControls();
+        }
+    });
+
+    $doc.on('input change', '#replay_seek', function() {
+        if(playback) {
+            playback.seek(+$(this).val());
+            animator.settle();
+            settleEffects();
+            render();
+        }
+    });
+
+    $doc.on('change', '#replay_file', function() {
+        if(this.files.length) {
+            loadReplay(this.files[0]);
+            this.value = '';
+        }
+    });
+
+    /* Connect the game server's client to the page: its games are shown in
+     * the 'online' state and the lobby under the game lists the rooms and
+     * who's in ours.
+     */
+    function bindClient() {
+        client = new NetworkClient(levels, characters);
+
+        client.on('connected', function(url) {
+            onlineStatus('Connected to ' + url);
+        });
+        client.on('disconnected', function() {
+            onlineStatus('Disconnected');
+            showRoom(null);
+            stopOnline();
+        });
+        client.on('error', onlineStatus);
+        client.on('rooms', showRooms);
+        client.on('room', showRoom);
+        client.on('start', function() {
+            states.go('online');
+        });
+        // States come without events, so the HUD reads every one
+        client.on('state', function() {
+            hud.refresh();
+        });
+        // Only the names of events come from the server, enough for sounds and screen effects
+        client.on('event', function(event) {
+            Sounds.play(eventSounds[event]);
+            screenEffect(event);
+        });
+        client.on('ended', function(results) {
+            states.call('ended', results);
+        });
+    }
+
+    // Stop showing the online game and go back to the live one
+    function stopOnline() {
+        if(states.is('online')) {
+            states.go(liveGameStarted() ? 'paused' : 'title');
+        }
+    }
+
+    // Leave the room, and its game if one is going
+    function leaveRoom() {
+        client.leave();
+        showRoom(null);
+        stopOnline();
+    }
+
+    function onlineStatus(message) {
+        $('#online_status').text(message);
+    }
+
+    // The rooms on the server, clicking one fills it in to join
+    function showRooms(rooms) {
+        $('#online_rooms').empty().append(rooms.map(function(room) {
+            return $('<li>').append(
+                $('<a href="#">').attr('data-online-room', room.name).attr('data-mode', room.mode)
+                    .text(room.name + ' (' + modeNames[room.mode] + ', ' + room.players +
+                          (room.playing ? ' playing)' : ' waiting)'))
+            );
+        }));
+    }
+
+    // The room we're in and who's in it, the first player is the one who starts it
+    function showRoom(room, player) {
+        $('#online_room').toggleClass('hide', !room);
+        $('#online_rooms').toggleClass('hide', !!room);
+        if(room) {
+            $('#online_room .online-room-name').text(room.name + ', ' + modeNames[room.mode]);
+            $('#online_room .online-players').empty().append(room.players.map(function(other, index) {
+                return $('<li>').text(other.name + (index === player ? ' (you)' : ''));
+            }));
+            $('[data-online="start"]').toggleClass('hide', player !== 0);
+        }
+    }
+
+    $doc.on('click', '[data-online]', function(e) {
+        e.preventDefault();
+        if(!client) {
+            return;
+        }
+        switch($(this).data('online')) {
+          case 'connect':
+            onlineStatus('Connecting...');
+            client.connect($('#online_server').val());
+            break;
+          case 'join':
+            if(!client.isConnected()) {
+              onlineStatus('Connect to a server first');
+            } else {
+              client.join($('#online_room_name').val(), $('#online_name').val(), picked[0].id, $('#online_mode').val());
+            }
+            break;
+          case 'start':
+            client.start();
+            break;
+          case 'leave':
+            leaveRoom();
+            break;
+        }
+    });
+
+    $doc.on('click', '[data-online-room]', function(e) {
+        e.preventDefault();
+        $('#online_room_name').val($(this).data('online-room'));
+        $('#online_mode').val($(this).data('mode'));
+    });
+
+    /* First load the level and character definitions, then go ahead and
+     * load every image and sound the game can use, worked out from those
+     * definitions. Once all of them are loaded our game will start. If
+     * anything can't be loaded the loading screen says so and lets the
+     * player try again, which only fetches what's still missing.
+     */
+    function preload() {
+        Resources.load([
+            'assets/data/levels.json',
+            'assets/data/characters.json'
+        ]).then(function(data) {
+            levels = Level.loadAll(data[0]);
+            characters = Character.loadAll(data[1]);
+
+            return Promise.all([
+                Resources.load(Simulation.images(levels, characters).concat(Screens.images)),
+                Sounds.load(soundEffects)
+            ]);
+        }).then(init, function(err) {
+            console.error('Could not load the game: ' + err.message);
+            loadError = err;
+        });
+    }
+
+    /* Start the game loop right away so the loading screen is drawn while
+     * we wait on the levels and images. Pages without a board, like the
+     * stats page, share the scripts but don't run the game.
+     */
+    if($('#canvas_container').length) {
+        preload();
+        states.go('loading');
+        lastTime = Date.now();
+        main();
+    }
+
+    global.ctx = ctx;
+
+    return {
+        // The running simulation, e.g. to read its state from the console
+        game: function() {
+            return game;
+        },
+        // Name of the current state, e.g. 'title' or 'playing'
+        state: function() {
+            return states.name;
+        },
+        /* Send a player action as if a key was pressed: 'confirm', 'pause',
+         * 'quit' or a direction, for the first player unless another is
+         * given. Handy for driving the game from tests.
+         */
+        send: function(action, player) {
+            states.input(action, player);
+        },
+        // Play back a Replay instead of the live game, or stop doing so
+        watch: watch,
+        stopWatching: stopWatching
+    };
 })(this);
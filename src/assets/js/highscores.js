@@ -0,0 +1,133 @@
+/* HighScores.js
+ * Keeps the top scores with the player's initials. Where the scores are kept
+ * is up to a storage adapter, by default the browser's localStorage. Any
+ * object with these two methods can be used instead, for example one that
+ * talks to a server:
+ *
+ *   load(callback)         - calls callback(err, scores) with the saved list
+ *   save(scores, callback) - saves the list, then calls callback(err)
+ *
+ * Each score looks like:
+ *   { initials: 'ABC', points: 1200, saved: 14, lost: 2, level: 3,
+ *     time: 312.5, date: '2017-02-01T12:00:00.000Z' }
+ */
+var HighScores = function(options) {
+  options = options || {};
+  this.storage = options.storage || HighScores.defaultStorage();
+  this.size = options.size || 10; // how many scores make the table
+  this.scores = [];
+};
+
+// Longest set of initials a player can enter
+HighScores.INITIALS_LENGTH = 3;
+
+// Load the saved scores, callback(err, scores) is optional
+HighScores.prototype.load = function(callback) {
+  var highScores = this;
+  this.storage.load(function(err, scores) {
+    if(!err) {
+      highScores.scores = highScores.sort(scores || []);
+    }
+    if(callback) {
+      callback(err, highScores.scores);
+    }
+  });
+};
+
+// The current top scores, best first
+HighScores.prototype.list = function() {
+  return this.scores.slice();
+};
+
+// Check if a number of points would make it into the table
+HighScores.prototype.qualifies = function(points) {
+  return points > 0 && (this.scores.length < this.size ||
+    points > this.scores[this.scores.length - 1].points);
+};
+
+/* Add a score to the table and save it. The callback gets the score's rank,
+ * starting at 0, or -1 if it didn't make the cut.
+ */
+HighScores.prototype.add = function(score, callback) {
+  var entry = {
+        initials: HighScores.cleanInitials(score.initials) || '???',
+        points: score.points,
+        saved: score.saved,
+        lost: score.lost,
+        level: score.level,
+        time: score.time,
+        date: score.date || new Date().toISOString()
+      },
+      scores = this.sort(this.scores.concat([entry])).slice(0, this.size),
+      rank = scores.indexOf(entry);
+
+  this.scores = scores;
+  this.storage.save(scores, function(err) {
+    if(callback) {
+      callback(err, rank);
+    }
+  });
+};
+
+// Best points first, the quicker game wins a tie
+HighScores.prototype.sort = function(scores) {
+  return scores.slice().sort(function(a, b) {
+    return b.points - a.points || a.time - b.time;
+  });
+};
+
+// Keep initials to a few capital letters and numbers
+HighScores.cleanInitials = function(initials) {
+  return String(initials || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, HighScores.INITIALS_LENGTH);
+};
+
+/* Use localStorage when the browser lets us, otherwise just keep scores in
+ * memory. Parameter: key, where to keep them, the high scores' key by default
+ */
+HighScores.defaultStorage = function(key) {
+  try {
+    window.localStorage.setItem('indieboxer.test', '1');
+    window.localStorage.removeItem('indieboxer.test');
+    return new HighScores.LocalStorage(key || 'indieboxer.highscores');
+  } catch(err) {
+    return new HighScores.MemoryStorage();
+  }
+};
+
+// Storage adapter that keeps the scores as JSON under a localStorage key
+HighScores.LocalStorage = function(key) {
+  this.key = key;
+};
+
+HighScores.LocalStorage.prototype.load = function(callback) {
+  var scores;
+  try {
+    scores = JSON.parse(window.localStorage.getItem(this.key)) || [];
+  } catch(err) {
+    return callback(err);
+  }
+  callback(null, scores);
+};
+
+HighScores.LocalStorage.prototype.save = function(scores, callback) {
+  try {
+    window.localStorage.setItem(this.key, JSON.stringify(scores));
+  } catch(err) {
+    return callback(err);
+  }
+  callback(null);
+};
+
+// Storage adapter that forgets everything when the page closes
+HighScores.MemoryStorage = function() {
+  this.scores = [];
+};
+
+HighScores.MemoryStorage.prototype.load = function(callback) {
+  callback(null, this.scores.slice());
+};
+
+HighScores.MemoryStorage.prototype.save = function(scores, callback) {
+  this.scores = scores.slice();
+  callback(null);
+};
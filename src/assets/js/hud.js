@@ -0,0 +1,263 @@
+/* Hud.js
+ * The heads-up display, drawn on the canvas over the board so it goes
+ * wherever the canvas goes, fullscreen included. A bar along the top shows
+ * the level and how far along it is, the points, the time (or the time
+ * left in a timed game) and the boxes saved and lost. A bar along the
+ * bottom has a part for each player with their lives as hearts and the
+ * boxes they're carrying, colored by how damaged they are. Active power-ups
+ * are listed under the top bar with the time they have left.
+ *
+ * The HUD doesn't go looking for changes every frame. It listens to the
+ * game's events and only reads the game again after one of them, the clocks
+ * (the time and the power-ups) are the only things read as they're drawn:
+ *
+ *   hud.watch(game);
+ *   hud.render(width, height);
+ */
+var Hud = function() {
+  this.game = null; // the game being shown
+  this.watched = []; // every game it's listening to
+  this.shown = null; // what's on the HUD, read from the game by read()
+  this.stale = true; // read the game again before the next draw
+};
+
+// The events that change something on the HUD
+Hud.EVENTS = ['points', 'lives', 'out', 'level', 'delivered', 'lost', 'carrying', 'steal', 'reset'];
+
+// Heights of the top and bottom bars, in board units
+Hud.TOP = 48;
+Hud.BOTTOM = 34;
+
+// Seconds left in a timed game when the time turns red
+Hud.HURRY = 10;
+
+// Colors for a carried box by how many times it was run over, see damage in app.js
+Hud.DAMAGE_COLORS = ['#2ecc40', '#ffdc00', '#ff4136'];
+
+/* Show a game, like the live game or a replay being watched. Only the game
+ * being shown is on the HUD, so the same HUD is handed each one.
+ */
+Hud.prototype.watch = function(game) {
+  var hud = this;
+
+  this.game = game;
+  this.refresh();
+  if(this.watched.indexOf(game) === -1) {
+    this.watched.push(game);
+    Hud.EVENTS.forEach(function(event) {
+      game.on(event, function() {
+        if(game === hud.game) {
+          hud.refresh();
+        }
+      });
+    });
+  }
+};
+
+// Read the game again before the next draw, for changes that don't come as events
+Hud.prototype.refresh = function() {
+  this.stale = true;
+};
+
+// What's on the HUD, everything but the clocks
+Hud.prototype.read = function() {
+  var game = this.game,
+      saved = 0;
+
+  game.players.forEach(function(player) {
+    saved += player.deliveries.length;
+  });
+  return {
+    mode: game.mode,
+    points: game.points,
+    saved: saved,
+    lost: game.boxesLost.length,
+    level: game.player.level,
+    delivered: game.levelDeliveries,
+    toAdvance: game.level.boxesToAdvance,
+    players: game.players.map(function(player) {
+      return {
+        index: player.index,
+        lives: player.lives,
+        startingLives: player.character.lives,
+        points: player.points,
+        out: player.out,
+        capacity: player.maxCarry(),
+        carrying: player.carrying.map(function(box) {
+          return box.ranOver;
+        })
+      };
+    })
+  };
+};
+
+// Draw the HUD over a board width by height
+Hud.prototype.render = function(width, height) {
+  var shown;
+
+  if(!this.game) {
+    return;
+  }
+  if(this.stale) {
+    this.shown = this.read();
+    this.stale = false;
+  }
+  shown = this.shown;
+
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(0, 0, width, Hud.TOP);
+  ctx.fillRect(0, height - Hud.BOTTOM, width, Hud.BOTTOM);
+  ctx.fillStyle = '#fff';
+  ctx.textBaseline = 'middle';
+
+  this.renderTop(shown, width);
+  this.renderEffects(this.game.collectibles.active());
+  shown.players.forEach(function(player, index) {
+    var part = width / shown.players.length;
+    this.renderPlayer(player, index * part, height - Hud.BOTTOM / 2, shown);
+  }, this);
+  ctx.restore();
+};
+
+// The level and its progress on the left, points and time in the middle, boxes saved and lost on the right
+Hud.prototype.renderTop = function(shown, width) {
+  var barWidth = 110,
+      progress,
+      timeLeft;
+
+  ctx.textAlign = 'left';
+  ctx.font = 'bold 16px sans-serif';
+  ctx.fillText('Level ' + shown.level, 10, 15);
+  if(shown.toAdvance) {
+    progress = Math.min(1, shown.delivered / shown.toAdvance);
+    ctx.strokeStyle = '#fff';
+    ctx.strokeRect(10.5, 27.5, barWidth, 10);
+    ctx.fillStyle = '#ffd700';
+    ctx.fillRect(12, 29, (barWidth - 3) * progress, 7);
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(shown.delivered + '/' + shown.toAdvance, barWidth + 18, 33);
+  } else {
+    ctx.font = '12px sans-serif';
+    ctx.fillText('Last level', 10, 33);
+  }
+
+  // Versus players score for themselves, their points are with their lives
+  ctx.textAlign = 'center';
+  if(shown.mode !== 'versus') {
+    ctx.font = 'bold 22px sans-serif';
+    ctx.fillText(shown.points, width / 2, 16);
+  }
+  ctx.font = '14px sans-serif';
+  timeLeft = this.game.timeLeft();
+  if(timeLeft !== null) {
+    // Counting down, red for the last few seconds
+    ctx.fillStyle = timeLeft <= Hud.HURRY ? '#ff4136' : '#fff';
+    ctx.fillText(Screens.formatTime(Math.ceil(timeLeft)), width / 2, shown.mode === 'versus' ? 24 : 38);
+    ctx.fillStyle = '#fff';
+  } else {
+    ctx.fillText(Screens.formatTime(this.game.time), width / 2, shown.mode === 'versus' ? 24 : 38);
+  }
+
+  ctx.textAlign = 'right';
+  ctx.fillText('Saved ' + shown.saved, width - 10, 15);
+  ctx.fillText('Lost ' + shown.lost, width - 10, 33);
+};
+
+// The active power-ups in a row under the top bar, each emptying as its time runs out
+Hud.prototype.renderEffects = function(effects) {
+  var x = 10,
+      y = Hud.TOP + 4,
+      height = 20;
+
+  ctx.textAlign = 'left';
+  ctx.font = 'bold 12px sans-serif';
+  effects.forEach(function(effect) {
+    var lasts = effect.timeLeft !== Infinity,
+        label = effect.label + (lasts ? ' ' + Math.ceil(effect.timeLeft) + 's' : ''),
+        width = ctx.measureText(label).width + 16;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = '#3adb76';
+    ctx.fillRect(x, y, lasts ? width * effect.timeLeft / effect.duration : width, height);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(label, x + 8, y + height / 2);
+    x += width + 6;
+  });
+};
+
+/* A player's part of the bottom bar, from left across. Players are told
+ * apart by their color with two of them, and a player who's out is faded.
+ */
+Hud.prototype.renderPlayer = function(player, left, y, shown) {
+  var x = left + 10,
+      hearts = Math.max(player.lives, player.startingLives),
+      i;
+
+  ctx.save();
+  if(player.out) {
+    ctx.globalAlpha *= 0.4;
+  }
+  ctx.textAlign = 'left';
+  if(shown.players.length > 1) {
+    ctx.font = 'bold 14px sans-serif';
+    ctx.fillStyle = Player.COLORS[player.index];
+    ctx.fillText('P' + (player.index + 1), x, y);
+    x += 26;
+  }
+
+  // Lots of lives are shown as one heart and how many
+  if(hearts > 5) {
+    Hud.heart(x + 7, y, 14, true);
+    ctx.font = 'bold 14px sans-serif';
+    ctx.fillStyle = '#fff';
+    ctx.fillText('x' + player.lives, x + 17, y);
+    x += 44;
+  } else {
+    for(i = 0; i < hearts; i++) {
+      Hud.heart(x + 7, y, 14, i < player.lives);
+      x += 18;
+    }
+    x += 6;
+  }
+
+  // A box for every one the player can carry, filled in with its damage when it's carried
+  for(i = 0; i < player.capacity; i++) {
+    ctx.strokeStyle = '#fff';
+    ctx.strokeRect(x + 0.5, y - 6.5, 16, 13);
+    if(i < player.carrying.length) {
+      ctx.fillStyle = Hud.DAMAGE_COLORS[player.carrying[i]];
+      ctx.fillRect(x + 2, y - 5, 13, 10);
+    }
+    x += 20;
+  }
+
+  if(shown.mode === 'versus') {
+    ctx.font = 'bold 14px sans-serif';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(player.points, x + 6, y);
+  }
+  ctx.restore();
+};
+
+// A heart size across centered on x, y, empty for a life that's been lost
+Hud.heart = function(x, y, size, filled) {
+  var s = size / 2;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(x, y + s);
+  ctx.bezierCurveTo(x - s * 1.6, y - s * 0.2, x - s * 0.6, y - s * 1.4, x, y - s * 0.5);
+  ctx.bezierCurveTo(x + s * 0.6, y - s * 1.4, x + s * 1.6, y - s * 0.2, x, y + s);
+  ctx.closePath();
+  if(filled) {
+    ctx.fillStyle = '#ff4136';
+    ctx.fill();
+  } else {
+    ctx.strokeStyle = '#fff';
+    ctx.stroke();
+  }
+  ctx.restore();
+};
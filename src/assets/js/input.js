@@ -0,0 +1,294 @@
+/* Input.js
+ * Turns everything the player can use to control the game into the same
+ * actions: 'left', 'up', 'right', 'down', 'confirm', 'pause', 'quit',
+ * 'scores', 'mute' and 'fullscreen'. Actions come from the keyboard
+ * (arrows, WASD or keys the player picked), swipes and taps on the canvas,
+ * the on-screen d-pad and gamepads.
+ *
+ *   var input = new Input({ element: canvas });
+ *   input.on('action', function(action, player) { ... });
+ *   input.on('type', function(character) { ... }); // letters for initials
+ *   input.on('erase', function() { ... });         // backspace
+ *
+ * Every action also says which player it came from, for two player games.
+ * Each action has two slots for keys, the first is player 1's and the
+ * second player 2's, so out of the box player 1 has the arrows and player 2
+ * WASD. Each gamepad is its own player, touch controls are always player 1.
+ *
+ * Call poll() once a frame, gamepads can't tell us when a button is pressed.
+ */
+var Input = function(options) {
+  options = options || {};
+
+  this.element = options.element;
+  this.storageKey = options.storageKey || 'indieboxer.bindings';
+  this.listeners = {};
+  this.capturing = null; // callback waiting on the next key for rebinding
+  this.gamepadState = {}; // which gamepad actions were down last poll
+  this.bindings = this.loadBindings();
+
+  this.listen();
+};
+
+// Every action and the keys bound to it out of the box, two per action
+Input.DEFAULT_BINDINGS = {
+  left: [37, 65], // left arrow, a
+  up: [38, 87], // up arrow, w
+  right: [39, 68], // right arrow, d
+  down: [40, 83], // down arrow, s
+  confirm: [13, 32], // enter, space
+  pause: [80, 27], // p, escape
+  quit: [81], // q
+  scores: [72], // h
+  mute: [77], // m
+  fullscreen: [70] // f
+};
+
+// Actions in the order they're listed to the player
+Input.ACTIONS = ['up', 'down', 'left', 'right', 'confirm', 'pause', 'quit', 'scores', 'mute', 'fullscreen'];
+
+// Standard gamepad mapping buttons for each action
+Input.GAMEPAD_BUTTONS = {
+  up: [12],
+  down: [13],
+  left: [14],
+  right: [15],
+  confirm: [0],
+  pause: [9],
+  quit: [1]
+};
+
+// How far a stick has to be pushed and a finger has to move to count
+Input.STICK_THRESHOLD = 0.5;
+Input.SWIPE_DISTANCE = 30;
+
+// Friendly names for keys that don't print as themselves
+Input.KEY_NAMES = {
+  8: 'Backspace', 9: 'Tab', 13: 'Enter', 16: 'Shift', 17: 'Ctrl', 18: 'Alt',
+  27: 'Esc', 32: 'Space', 37: '←', 38: '↑', 39: '→', 40: '↓'
+};
+
+Input.keyName = function(keyCode) {
+  return Input.KEY_NAMES[keyCode] || String.fromCharCode(keyCode);
+};
+
+Input.prototype.on = function(event, callback) {
+  (this.listeners[event] = this.listeners[event] || []).push(callback);
+  return this;
+};
+
+Input.prototype.emit = function(event) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  (this.listeners[event] || []).forEach(function(callback) {
+    callback.apply(null, args);
+  });
+};
+
+// Send an action as if it came from a key, button or swipe, for player 0 unless another is given
+Input.prototype.send = function(action, player) {
+  this.emit('action', action, player || 0);
+};
+
+// Which player a key belongs to, the slot it has in its action's bindings
+Input.prototype.playerFor = function(keyCode) {
+  var action = this.actionFor(keyCode);
+  return action ? Math.max(0, this.bindings[action].indexOf(keyCode)) : 0;
+};
+
+// The action a key is bound to, if any
+Input.prototype.actionFor = function(keyCode) {
+  for(var action in this.bindings) {
+    if(this.bindings.hasOwnProperty(action) && this.bindings[action].indexOf(keyCode) !== -1) {
+      return action;
+    }
+  }
+  return null;
+};
+
+/* Bind a key to an action in one of its two slots. The key is taken away
+ * from any other action so one key never does two things, leaving its slot
+ * there empty. Keys never move between slots, the slot says whose key it is.
+ */
+Input.prototype.bind = function(action, slot, keyCode) {
+  var bindings = this.bindings;
+
+  Object.keys(bindings).forEach(function(other) {
+    bindings[other] = bindings[other].map(function(key) {
+      return key === keyCode ? null : key;
+    });
+  });
+  bindings[action][slot] = keyCode;
+
+  this.saveBindings();
+  this.emit('bindings', this.bindings);
+};
+
+Input.prototype.resetBindings = function() {
+  this.bindings = Input.copyBindings(Input.DEFAULT_BINDINGS);
+  this.saveBindings();
+  this.emit('bindings', this.bindings);
+};
+
+// Hand the next key pressed to callback instead of playing with it
+Input.prototype.capture = function(callback) {
+  this.capturing = callback;
+};
+
+Input.copyBindings = function(bindings) {
+  var copy = {};
+  Object.keys(bindings).forEach(function(action) {
+    copy[action] = Input.slots(bindings[action]);
+  });
+  return copy;
+};
+
+// An action's keys as its two slots, null for an empty one
+Input.slots = function(keys) {
+  return [0, 1].map(function(slot) {
+    return typeof keys[slot] === 'number' ? keys[slot] : null;
+  });
+};
+
+// The player's own bindings, on top of the defaults so new actions still work
+Input.prototype.loadBindings = function() {
+  var bindings = Input.copyBindings(Input.DEFAULT_BINDINGS),
+      saved = Settings.load(this.storageKey);
+
+  if(saved) {
+    Object.keys(bindings).forEach(function(action) {
+      if(Array.isArray(saved[action])) {
+        bindings[action] = Input.slots(saved[action]);
+      }
+    });
+  }
+  return bindings;
+};
+
+Input.prototype.saveBindings = function() {
+  Settings.save(this.storageKey, this.bindings);
+};
+
+// Set up the keyboard, touch and d-pad listeners
+Input.prototype.listen = function() {
+  var input = this,
+      $doc = $(document),
+      touchStart = null;
+
+  // Letters are handed over on keydown so typing feels right
+  $doc.on('keydown', function(e) {
+    if($(e.target).is('input, textarea, select')) {
+      return;
+    }
+    if(input.capturing) {
+      e.preventDefault();
+      return;
+    }
+    if(input.actionFor(e.keyCode) || e.keyCode === 8) {
+      // Keep the page from scrolling or going back while playing
+      e.preventDefault();
+    }
+    if(e.keyCode === 8) {
+      input.emit('erase');
+    } else if(e.key && /^[a-z0-9]$/i.test(e.key)) {
+      input.emit('type', e.key);
+    }
+  });
+
+  // Actions fire on keyup, the same as moves always have
+  $doc.on('keyup', function(e) {
+    var action, capture;
+
+    if($(e.target).is('input, textarea, select')) {
+      return;
+    }
+    if(input.capturing) {
+      capture = input.capturing;
+      input.capturing = null;
+      capture(e.keyCode);
+      return;
+    }
+    action = input.actionFor(e.keyCode);
+    if(action) {
+      input.send(action, input.playerFor(e.keyCode));
+    }
+  });
+
+  // Buttons anywhere on the page with data-input="up" and so on
+  $doc.on('click', '[data-input]', function(e) {
+    e.preventDefault();
+    input.send($(this).data('input'));
+  });
+
+  if(!this.element) {
+    return;
+  }
+
+  // Swipe on the canvas to move, tap to confirm
+  $(this.element).on('touchstart', function(e) {
+    var touch = e.originalEvent.changedTouches[0];
+    touchStart = { x: touch.clientX, y: touch.clientY };
+    e.preventDefault();
+  });
+
+  $(this.element).on('touchend', function(e) {
+    var touch = e.originalEvent.changedTouches[0],
+        dx, dy;
+
+    if(!touchStart) {
+      return;
+    }
+    dx = touch.clientX - touchStart.x;
+    dy = touch.clientY - touchStart.y;
+    touchStart = null;
+    e.preventDefault();
+
+    if(Math.max(Math.abs(dx), Math.abs(dy)) < Input.SWIPE_DISTANCE) {
+      input.send('confirm');
+    } else if(Math.abs(dx) > Math.abs(dy)) {
+      input.send(dx < 0 ? 'left' : 'right');
+    } else {
+      input.send(dy < 0 ? 'up' : 'down');
+    }
+  });
+};
+
+/* Check the gamepads for buttons and sticks that were pushed since the last
+ * poll. An action only fires once per press, holding it down does nothing.
+ * Each gamepad's actions are sent for the player with the gamepad's index.
+ */
+Input.prototype.poll = function() {
+  var input = this,
+      pads = navigator.getGamepads ? navigator.getGamepads() : [],
+      down = {};
+
+  Array.prototype.forEach.call(pads, function(pad) {
+    var pressed = {};
+
+    if(!pad) {
+      return;
+    }
+    Object.keys(Input.GAMEPAD_BUTTONS).forEach(function(action) {
+      Input.GAMEPAD_BUTTONS[action].forEach(function(button) {
+        if(pad.buttons[button] && pad.buttons[button].pressed) {
+          pressed[action] = true;
+        }
+      });
+    });
+    if(pad.axes.length >= 2) {
+      if(pad.axes[0] < -Input.STICK_THRESHOLD) { pressed.left = true; }
+      if(pad.axes[0] > Input.STICK_THRESHOLD) { pressed.right = true; }
+      if(pad.axes[1] < -Input.STICK_THRESHOLD) { pressed.up = true; }
+      if(pad.axes[1] > Input.STICK_THRESHOLD) { pressed.down = true; }
+    }
+    Object.keys(pressed).forEach(function(action) {
+      down[pad.index + ':' + action] = { action: action, player: pad.index };
+    });
+  });
+
+  Object.keys(down).forEach(function(key) {
+    if(!input.gamepadState[key]) {
+      input.send(down[key].action, down[key].player);
+    }
+  });
+  this.gamepadState = down;
+};
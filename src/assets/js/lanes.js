@@ -0,0 +1,159 @@
+/* Lanes.js
+ * Keeps track of which enemies are in which enemy lane and in what order,
+ * and decides when and where they come onto the board. Every lane is a line
+ * of enemies from the front (furthest along) to the back, both the ones on
+ * the board and the ones queued up off the edge waiting to come on.
+ *
+ *   game.lanes.add(enemy, Lanes.RESPAWN); // queue an enemy at the back of its lane
+ *   game.lanes.ahead(enemy);              // the enemy in front of it, if any
+ *   game.lanes.occupancy(y);              // { queued: 2, onBoard: 1 }
+ *   game.lanes.isClear(y, 1.5, 3);        // nothing between pos 1.5 and 3?
+ *
+ * Enemies measure how far along their lane they are as pos, counting from
+ * the edge they come in at, and take up the stretch from pos to pos + width.
+ * How long an enemy waits to come on is how far back it's queued, and it's
+ * always queued behind the last enemy in the lane so they never start on
+ * top of each other.
+ */
+var Lanes = function(game) {
+  this.game = game;
+
+  // The enemies in each enemy lane front to back, indexed by row
+  this.lanes = game.level.rows.map(function(row) {
+    return row.lane === 'enemy' ? [] : null;
+  });
+
+  // The last occupancy sent out for each lane, so changes can be spotted
+  this.counts = this.lanes.map(function() {
+    return null;
+  });
+};
+
+// How many tiles back from the edge enemies start, when the level starts and after each trip
+Lanes.START = { min: 1, max: 8 };
+Lanes.RESPAWN = { min: 1, max: 5 };
+
+// The least room left between an enemy and the one in front when it's queued
+Lanes.GAP = 0.5;
+
+/* Queue an enemy at the back of the lane it picked, a random distance off
+ * the board within delay, or further back if the lane is busy.
+ */
+Lanes.prototype.add = function(enemy, delay) {
+  var lane = this.lane(enemy.y),
+      last = lane[lane.length - 1];
+
+  // Enemies of any width start with their front the same distance off the board
+  enemy.pos = -enemy.width - this.game.random.intInclusive(delay.min, delay.max) + 1;
+  if(last) {
+    enemy.pos = Math.min(enemy.pos, last.pos - enemy.width - Lanes.GAP);
+  }
+  lane.push(enemy);
+  enemy.place();
+};
+
+// Take an enemy out of its lane
+Lanes.prototype.remove = function(enemy) {
+  var lane = this.lane(enemy.y),
+      index = lane.indexOf(enemy);
+
+  if(index !== -1) {
+    lane.splice(index, 1);
+  }
+};
+
+/* Move an enemy over to another lane, in line where its pos puts it. Check
+ * isClear() first, this doesn't stop enemies from landing on each other.
+ */
+Lanes.prototype.move = function(enemy, y) {
+  var lane = this.lane(y),
+      index = 0;
+
+  this.remove(enemy);
+  while(index < lane.length && lane[index].pos > enemy.pos) {
+    index++;
+  }
+  lane.splice(index, 0, enemy);
+  enemy.y = y;
+  enemy.direction = this.game.level.rows[y].direction;
+  enemy.place();
+};
+
+/* Send enemies that have driven off the far side of the board back to the
+ * start of a lane, as whatever type of enemy they pick next. Called once a
+ * step after the enemies have moved.
+ */
+Lanes.prototype.update = function() {
+  var cols = this.game.level.cols,
+      done = [];
+
+  this.lanes.forEach(function(lane) {
+    while(lane && lane.length && lane[0].pos >= cols) {
+      done.push(lane.shift());
+    }
+  });
+  done.forEach(function(enemy) {
+    enemy.spawn();
+    this.add(enemy, Lanes.RESPAWN);
+  }, this);
+
+  this.report();
+};
+
+// Tell anyone listening about lanes whose occupancy changed since the last step
+Lanes.prototype.report = function() {
+  this.lanes.forEach(function(lane, y) {
+    var occupancy, last;
+
+    if(!lane) {
+      return;
+    }
+    occupancy = this.occupancy(y);
+    last = this.counts[y];
+    if(!last || last.queued !== occupancy.queued || last.onBoard !== occupancy.onBoard) {
+      this.counts[y] = occupancy;
+      this.game.emit('lanes', y, occupancy);
+    }
+  }, this);
+};
+
+// The enemies in a lane front to back, throws for rows that aren't enemy lanes
+Lanes.prototype.lane = function(y) {
+  if(!this.lanes[y]) {
+    throw new Error('Row ' + y + ' is not an enemy lane');
+  }
+  return this.lanes[y];
+};
+
+// A copy of the enemies in a lane front to back, an empty list for other rows
+Lanes.prototype.enemiesIn = function(y) {
+  return this.lanes[y] ? this.lanes[y].slice() : [];
+};
+
+// The enemy right in front of this one in its lane, if there is one
+Lanes.prototype.ahead = function(enemy) {
+  var lane = this.lane(enemy.y),
+      index = lane.indexOf(enemy);
+  return index > 0 ? lane[index - 1] : null;
+};
+
+// How many enemies in a lane are still waiting to come on and how many are on the board
+Lanes.prototype.occupancy = function(y) {
+  var occupancy = { queued: 0, onBoard: 0 };
+
+  this.enemiesIn(y).forEach(function(enemy) {
+    if(enemy.pos + enemy.width > 0) {
+      occupancy.onBoard++;
+    } else {
+      occupancy.queued++;
+    }
+  });
+  return occupancy;
+};
+
+// Check no enemy in a lane takes up any of the stretch between two positions
+Lanes.prototype.isClear = function(y, from, to) {
+  return !this.enemiesIn(y).some(function(enemy) {
+    return enemy.pos < to && enemy.pos + enemy.width > from;
+  });
+};
@@ -0,0 +1,405 @@
+/* Level.js
+ * Levels are described in src/data/levels.json so new ones can be added
+ * without touching code. A level file has a map of tile names to images, the
+ * kinds of boxes there are and a list of levels:
+ *
+ *   {
+ *     "tiles": {
+ *       "water": "assets/img/water-block.png",
+ *       "river": { "image": "assets/img/water-block.png", "passable": false },
+ *       ...
+ *     },
+ *     "boxTypes": {
+ *       "blue": { "sprite": "assets/img/gem-blue.png", "points": 100 },
+ *       "express": { "sprite": "assets/img/gem-orange.png", "points": 200, "deadline": 20 }
+ *     },
+ *     "enemyTypes": {
+ *       "bug": { "sprite": "assets/img/enemy-bug.png" },
+ *       "truck": { "sprite": "assets/img/enemy-truck.png", "width": 2, "speed": 0.75 },
+ *       "hunter": { "sprite": "assets/img/enemy-bug-purple.png", "behavior": "target" }
+ *     },
+ *     "levels": [{
+ *       "name": "Main Street",
+ *       "cols": 5,
+ *       "rows": [{ "lane": "goal", "tile": "water" }, { "lane": "enemy", "tile": "stone", "direction": "left" }, ...],
+ *       "start": { "x": 2, "y": 5 },
+ *       "moveSpeed": 5,
+ *       "boxes": 1,
+ *       "boxTypes": ["blue", "express"],
+ *       "goals": [{ "accepts": ["blue"] }, { "accepts": ["express"] }],
+ *       "boxesToAdvance": 5,
+ *       "enemies": { "count": 5, "speed": { "min": 1, "max": 3 }, "types": { "bug": 3, "truck": 1 } },
+ *       "cells": [{ "x": 2, "y": 5, "tile": "mud" }],
+ *       "obstacles": [{ "type": "rock", "y": 4 }, { "type": "crate", "x": 1, "y": 4 }],
+ *       "shortcut": { "from": { "x": 0, "y": 5 }, "to": { "x": 0, "y": 1 } },
+ *       "collectibles": { "heart": { "every": 30, "lasts": 6 }, "key": { "every": 40, "lasts": 8 } }
+ *     }]
+ *   }
+ *
+ * Each row is one lane of the board from top to bottom. "goal" lanes are
+ * where boxes are delivered, "enemy" lanes are where enemies drive and boxes
+ * show up, and "start" lanes are safe ground for the player. Cells give single
+ * tiles a different tile from the rest of their row. Tiles have rules for
+ * how they're walked on, see Level.tile(), and obstacles are rocks, walls,
+ * crates and bridges, see Obstacle.TYPES. Rocks without an x get a random
+ * column and move around after every delivery.
+ *
+ * Boxes on a level are one of its boxTypes at random, and each only counts
+ * when it's delivered to a goal that accepts its type. Goals without accepts
+ * take any box. A box is worth its type's points, less for every time it was
+ * run over, plus a bonus for getting it there quickly. Express boxes with a
+ * deadline are lost if they aren't delivered within that many seconds.
+ *
+ * Every level needs enemies, "count" of them driving at speeds from the
+ * speed's min to its max. They drive right unless their lane's direction is
+ * "left". Each time one comes onto the board it's one of the level's enemy
+ * types, picked by weight. An enemy type is "width" tiles long, drives at
+ * "speed" times the level's enemy speed and has a behavior, see
+ * Level.BEHAVIORS. Types with "frames", a list of images, are animated
+ * through them "fps" times a second.
+ *
+ * The rest sets how hard the level is. The player moves at moveSpeed tiles a
+ * second. There are always "boxes" boxes on the board to be saved and the
+ * player goes up a level after delivering boxesToAdvance of them, leave it
+ * out to make a level endless. Each kind of collectible (see collectibles.js)
+ * shows up every "every" seconds and stays for "lasts" seconds, a level
+ * without collectibles gets hearts every 30 seconds. Keys open the level's
+ * shortcut, so they can only be on levels that have one. Levels past the
+ * last one in the file keep playing by its rules.
+ */
+var Level = function(definition, tiles, boxTypes, enemyTypes) {
+  var level = this;
+
+  boxTypes = boxTypes || Level.BOX_TYPES;
+  enemyTypes = enemyTypes || Level.ENEMY_TYPES;
+
+  this.name = definition.name;
+  this.cols = definition.cols;
+  this.tiles = {}; // the tiles the level uses by name, see Level.tile()
+  this.rows = (definition.rows || []).map(function(row, index) {
+    if(Level.LANES.indexOf(row.lane) === -1) {
+      throw new Error(level.describe() + ' row ' + index + ' has an unknown lane "' + row.lane + '"');
+    }
+    if(!level.useTile(row.tile, tiles)) {
+      throw new Error(level.describe() + ' row ' + index + ' has an unknown tile "' + row.tile + '"');
+    }
+    if(!level.tiles[row.tile].passable && row.lane !== 'start') {
+      throw new Error(level.describe() + ' row ' + index + ' is a ' + row.lane + ' lane that can\'t be walked on');
+    }
+    if(row.direction && !Level.DIRECTIONS[row.direction]) {
+      throw new Error(level.describe() + ' row ' + index + ' has an unknown direction "' + row.direction + '"');
+    }
+    return {
+      lane: row.lane,
+      tile: row.tile,
+      image: level.tiles[row.tile].image,
+      direction: Level.DIRECTIONS[row.direction || 'right'] // which way enemies drive, 1 or -1
+    };
+  });
+
+  if(!(this.cols > 0) || this.rows.length === 0) {
+    throw new Error(this.describe() + ' needs cols and at least one row');
+  }
+
+  this.goalRows = this.lanes('goal');
+  this.goalRow = this.goalRows[0];
+  this.enemyRows = this.lanes('enemy');
+
+  if(this.goalRow === undefined || this.enemyRows.length === 0) {
+    throw new Error(this.describe() + ' needs a goal lane and at least one enemy lane');
+  }
+
+  // Single tiles that are different from the rest of their row
+  this.cells = {};
+  (definition.cells || []).forEach(function(cell) {
+    if(!level.contains(cell.x, cell.y)) {
+      throw new Error(level.describe() + ' has a cell off the board');
+    }
+    if(!level.useTile(cell.tile, tiles)) {
+      throw new Error(level.describe() + ' has a cell with an unknown tile "' + cell.tile + '"');
+    }
+    if(!level.tiles[cell.tile].passable && level.rows[cell.y].lane !== 'start') {
+      throw new Error(level.describe() + ' can only have tiles that can\'t be walked on in start lanes');
+    }
+    level.cells[cell.x + ',' + cell.y] = cell.tile;
+  });
+
+  // Rocks were the only obstacles once, they're still allowed on their own
+  this.obstacles = (definition.obstacles || []).concat((definition.rocks || []).map(function(rock) {
+    return { type: 'rock', x: rock.x, y: rock.y };
+  })).map(function(obstacle) {
+    var type = Obstacle.TYPES[obstacle.type];
+    if(!type) {
+      throw new Error(level.describe() + ' has an unknown obstacle "' + obstacle.type + '"');
+    }
+    if(!level.rows[obstacle.y] || (obstacle.x === undefined ? !type.scatter : !level.contains(obstacle.x, obstacle.y))) {
+      throw new Error(level.describe() + ' has a ' + obstacle.type + ' off the board');
+    }
+    if(type.lanes.indexOf(level.rows[obstacle.y].lane) === -1) {
+      throw new Error(level.describe() + ' can\'t have a ' + obstacle.type + ' in a ' + level.rows[obstacle.y].lane + ' lane');
+    }
+    return { type: obstacle.type, x: obstacle.x, y: obstacle.y };
+  });
+
+  this.start = definition.start || { x: Math.floor(this.cols / 2), y: this.rows.length - 1 };
+  if(!this.contains(this.start.x, this.start.y)) {
+    throw new Error(this.describe() + ' starts the player off the board');
+  }
+  if(!this.tileAt(this.start.x, this.start.y).passable || this.obstacles.some(function(obstacle) {
+    return Obstacle.TYPES[obstacle.type].solid && obstacle.x === level.start.x && obstacle.y === level.start.y;
+  })) {
+    throw new Error(this.describe() + ' starts the player somewhere they can\'t stand');
+  }
+
+  var enemies = definition.enemies;
+  if(!enemies || !(enemies.count >= 0) || !enemies.speed || !(enemies.speed.min >= 0) || !(enemies.speed.max >= enemies.speed.min)) {
+    throw new Error(this.describe() + ' needs enemies with a count and a speed from min to max');
+  }
+  this.enemies = {
+    count: enemies.count,
+    speed: {
+      min: enemies.speed.min,
+      max: enemies.speed.max
+    },
+    types: {}, // the enemy types that show up by name
+    weights: {} // how often each of them shows up
+  };
+
+  // Enemy types can be a list of names or names and how often they show up
+  var weights = enemies.types || [Object.keys(enemyTypes)[0]];
+  if(Array.isArray(weights)) {
+    weights = weights.reduce(function(even, name) {
+      even[name] = 1;
+      return even;
+    }, {});
+  }
+  Object.keys(weights).forEach(function(name) {
+    var type = enemyTypes[name];
+    if(!type) {
+      throw new Error(level.describe() + ' has an unknown enemy type "' + name + '"');
+    }
+    if(type.behavior && Level.BEHAVIORS.indexOf(type.behavior) === -1) {
+      throw new Error('Enemy type "' + name + '" has an unknown behavior "' + type.behavior + '"');
+    }
+    if(!(weights[name] > 0)) {
+      throw new Error(level.describe() + ' needs enemy type "' + name + '" to show up more than never');
+    }
+    level.enemies.types[name] = {
+      name: name,
+      sprite: type.sprite,
+      width: type.width || 1, // tiles wide, which is how much of the lane it hits
+      speed: type.speed || 1, // times the level's enemy speed
+      behavior: type.behavior || 'drive',
+      frames: type.frames || null, // images to animate through instead of the sprite
+      fps: type.fps || 8
+    };
+    level.enemies.weights[name] = weights[name];
+  });
+
+  this.moveSpeed = definition.moveSpeed || Level.DEFAULTS.moveSpeed;
+  this.boxes = definition.boxes || Level.DEFAULTS.boxes;
+  this.boxesToAdvance = definition.boxesToAdvance || null;
+
+  if(this.boxes > this.enemyRows.length * this.cols) {
+    throw new Error(this.describe() + ' has more boxes than room for them');
+  }
+
+  // The types of box that show up, looked up in the file's boxTypes
+  this.boxTypes = (definition.boxTypes || [Object.keys(boxTypes)[0]]).map(function(name) {
+    var type = boxTypes[name];
+    if(!type) {
+      throw new Error(level.describe() + ' has an unknown box type "' + name + '"');
+    }
+    return {
+      name: name,
+      sprite: type.sprite,
+      points: type.points,
+      deadline: type.deadline || null // seconds to deliver it in, if any
+    };
+  });
+
+  this.goals = (definition.goals || [{}]).map(function(goal) {
+    return { accepts: goal.accepts ? goal.accepts.slice() : null };
+  });
+
+  if(this.goals.length > this.goalRows.length * this.cols) {
+    throw new Error(this.describe() + ' has more goals than room for them');
+  }
+  this.boxTypes.forEach(function(type) {
+    var delivered = level.goals.some(function(goal) {
+      return Level.accepts(goal, type);
+    });
+    if(!delivered) {
+      throw new Error(level.describe() + ' has no goal for "' + type.name + '" boxes');
+    }
+  });
+
+  if(definition.shortcut) {
+    this.shortcut = {
+      from: { x: definition.shortcut.from.x, y: definition.shortcut.from.y },
+      to: { x: definition.shortcut.to.x, y: definition.shortcut.to.y }
+    };
+    if(!this.contains(this.shortcut.from.x, this.shortcut.from.y) ||
+       !this.contains(this.shortcut.to.x, this.shortcut.to.y)) {
+      throw new Error(this.describe() + ' has a shortcut off the board');
+    }
+  } else {
+    this.shortcut = null;
+  }
+
+  // Older level files only had hearts
+  var collectibles = definition.collectibles ||
+    (definition.hearts ? { heart: definition.hearts } : Level.DEFAULTS.collectibles);
+  this.collectibles = {};
+  Object.keys(collectibles).forEach(function(name) {
+    var rule = collectibles[name],
+        kind = Collectible.KINDS[name];
+    if(!kind) {
+      throw new Error(level.describe() + ' has an unknown collectible "' + name + '"');
+    }
+    if(kind.available && !kind.available(level)) {
+      throw new Error(level.describe() + ' can\'t have "' + name + '" collectibles');
+    }
+    // every 0 turns a collectible off
+    if(rule.every > 0) {
+      if(!(rule.lasts > 0 && rule.lasts < rule.every)) {
+        throw new Error(level.describe() + ' needs ' + name + ' collectibles to last less time than they take to show up');
+      }
+      level.collectibles[name] = { every: rule.every, lasts: rule.lasts };
+    }
+  });
+};
+
+/* A tile from the level file, either just its image or its image and how
+ * it can be walked on:
+ *
+ *   "river": { "image": "assets/img/water-block.png", "passable": false }
+ *   "mud": { "image": "assets/img/mud-block.png", "speed": 0.5 }
+ *   "ramp": { "image": "assets/img/one-way-up.png", "oneWay": "up" }
+ *
+ * Tiles that aren't passable need a bridge to cross, speed is how fast the
+ * player walks onto it and one-way tiles can only be stepped onto going
+ * that way.
+ */
+Level.tile = function(name, tile) {
+  if(typeof tile === 'string') {
+    tile = { image: tile };
+  }
+  if(tile.oneWay && !Board.STEPS[tile.oneWay]) {
+    throw new Error('Tile "' + name + '" has an unknown direction "' + tile.oneWay + '"');
+  }
+  return {
+    name: name,
+    image: tile.image,
+    passable: tile.passable !== false,
+    speed: tile.speed || 1,
+    oneWay: tile.oneWay || null
+  };
+};
+
+// Rules used when a level leaves them out
+Level.DEFAULTS = {
+  moveSpeed: 5,
+  boxes: 1,
+  collectibles: { heart: { every: 30, lasts: 6 } }
+};
+
+// The kinds of lanes a row can be
+Level.LANES = ['goal', 'enemy', 'start'];
+
+// Which way enemies drive along a lane
+Level.DIRECTIONS = { right: 1, left: -1 };
+
+/* What enemies do besides drive straight across: "pause" stops now and then,
+ * "swerve" changes lanes and "target" changes lanes to run over boxes.
+ */
+Level.BEHAVIORS = ['drive', 'pause', 'swerve', 'target'];
+
+// Enemy types used when a level file doesn't have any
+Level.ENEMY_TYPES = {
+  bug: { sprite: 'assets/img/enemy-bug.png' }
+};
+
+// Box types used when a level file doesn't have any
+Level.BOX_TYPES = {
+  standard: { sprite: 'assets/img/gem-blue.png', points: 100 }
+};
+
+// Create every level in a parsed levels.json file
+Level.loadAll = function(data) {
+  if(!data || !data.levels || data.levels.length === 0) {
+    throw new Error('Level file has no levels');
+  }
+  return data.levels.map(function(definition) {
+    return new Level(definition, data.tiles || {}, data.boxTypes, data.enemyTypes);
+  });
+};
+
+// Name used in error messages
+Level.prototype.describe = function() {
+  return 'Level "' + (this.name || 'untitled') + '"';
+};
+
+// Indexes of all rows with the given lane type
+Level.prototype.lanes = function(lane) {
+  var rows = [];
+  this.rows.forEach(function(row, index) {
+    if(row.lane === lane) {
+      rows.push(index);
+    }
+  });
+  return rows;
+};
+
+// Add a tile from the file's tiles to the ones the level uses, false if there's no such tile
+Level.prototype.useTile = function(name, tiles) {
+  if(!tiles[name]) {
+    return false;
+  }
+  this.tiles[name] = this.tiles[name] || Level.tile(name, tiles[name]);
+  return true;
+};
+
+// The tile at a spot on the board
+Level.prototype.tileAt = function(x, y) {
+  return this.tiles[this.cells[x + ',' + y] || this.rows[y].tile];
+};
+
+Level.prototype.isLane = function(y, lane) {
+  return !!this.rows[y] && this.rows[y].lane === lane;
+};
+
+// Check a grid position is on the board
+Level.prototype.contains = function(x, y) {
+  return x >= 0 && x < this.cols && y >= 0 && y < this.rows.length;
+};
+
+// Image urls for every tile, obstacle, box, enemy and collectible the level uses
+Level.prototype.images = function() {
+  var images = [],
+      tiles = this.tiles,
+      enemies = this.enemies.types;
+  Object.keys(tiles).map(function(name) {
+    return tiles[name].image;
+  }).concat(this.obstacles.map(function(obstacle) {
+    return Obstacle.TYPES[obstacle.type].sprite;
+  })).concat(this.boxTypes.map(function(type) {
+    return type.sprite;
+  })).concat(Object.keys(enemies).map(function(name) {
+    return enemies[name].sprite;
+  })).concat(Object.keys(enemies).reduce(function(frames, name) {
+    return frames.concat(enemies[name].frames || []);
+  }, [])).concat(Object.keys(this.collectibles).map(function(name) {
+    return Collectible.KINDS[name].sprite;
+  })).forEach(function(image) {
+    if(images.indexOf(image) === -1) {
+      images.push(image);
+    }
+  });
+  return images;
+};
+
+// Check if a goal takes a box of some type
+Level.accepts = function(goal, type) {
+  return !goal.accepts || goal.accepts.indexOf(type.name) !== -1;
+};
@@ -0,0 +1,238 @@
+/* Network.js
+ * Plays a game that's running on a game server (lib/server.js) instead of in
+ * the browser. Moves are sent to the server and the states it sends back
+ * are shown through a Simulation of our own, which is never stepped, only
+ * set to what the server says with setState().
+ *
+ *   var client = new NetworkClient(levels, characters);
+ *   client.on('start', function(game) { ... draw game ... });
+ *   client.connect('ws://localhost:8081');
+ *   client.join('friday', 'Mario', 'boy', 'versus');
+ *
+ * States come in a few times a second, so what's shown is kept a little
+ * behind the server and the players and enemies are moved smoothly between
+ * the last two states. Events: 'connected', 'disconnected', 'rooms',
+ * 'room', 'start', 'state', 'event', 'ended' and 'error'.
+ */
+var NetworkClient = function(levels, characters) {
+  this.levels = levels;
+  this.characters = characters;
+  this.socket = null;
+  this.listeners = {};
+  this.room = null; // the room we're in, as the server describes it
+  this.player = null; // which player we are in the room's game
+  this.game = null; // the Simulation showing the server's game
+  this.snapshots = []; // the latest states from the server, with when they came in
+};
+
+// Seconds behind the server the game is shown, so there are always two states to move between
+NetworkClient.DELAY = 0.1;
+
+// How many states to keep around to move between
+NetworkClient.SNAPSHOTS = 10;
+
+NetworkClient.prototype.on = function(event, callback) {
+  (this.listeners[event] = this.listeners[event] || []).push(callback);
+  return this;
+};
+
+NetworkClient.prototype.emit = function(event) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  (this.listeners[event] || []).forEach(function(callback) {
+    callback.apply(null, args);
+  });
+};
+
+// Connect to a game server, anything already connected is left
+NetworkClient.prototype.connect = function(url) {
+  var client = this,
+      socket;
+
+  this.disconnect();
+  try {
+    socket = this.socket = new WebSocket(url);
+  } catch(err) {
+    this.emit('error', 'Could not connect to ' + url + ': ' + err.message);
+    return;
+  }
+
+  socket.onopen = function() {
+    client.emit('connected', url);
+  };
+  socket.onmessage = function(e) {
+    client.receive(JSON.parse(e.data));
+  };
+  socket.onerror = function() {
+    client.emit('error', 'Could not connect to ' + url);
+  };
+  socket.onclose = function() {
+    if(client.socket === socket) {
+      client.socket = null;
+      client.room = null;
+      client.game = null;
+      client.emit('disconnected');
+    }
+  };
+};
+
+NetworkClient.prototype.disconnect = function() {
+  var socket = this.socket;
+
+  if(socket) {
+    this.socket = null;
+    this.room = null;
+    this.game = null;
+    socket.close();
+  }
+};
+
+NetworkClient.prototype.isConnected = function() {
+  return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+};
+
+NetworkClient.prototype.send = function(message) {
+  if(this.isConnected()) {
+    this.socket.send(JSON.stringify(message));
+  }
+};
+
+NetworkClient.prototype.listRooms = function() {
+  this.send({ type: 'rooms' });
+};
+
+// Join a room, it's made if it isn't there yet and mode says how it'll be played
+NetworkClient.prototype.join = function(room, name, character, mode) {
+  this.send({ type: 'join', room: room, name: name, character: character, mode: mode });
+};
+
+NetworkClient.prototype.start = function() {
+  this.send({ type: 'start' });
+};
+
+NetworkClient.prototype.leave = function() {
+  this.send({ type: 'leave' });
+  this.room = null;
+  this.game = null;
+};
+
+// Send a move for our player in the room's game
+NetworkClient.prototype.input = function(direction) {
+  if(this.game) {
+    this.send({ type: 'input', direction: direction });
+  }
+};
+
+// Handle a message from the server, see lib/server.js for what they are
+NetworkClient.prototype.receive = function(message) {
+  var client = this;
+
+  switch(message.type) {
+    case 'rooms':
+      this.emit('rooms', message.rooms);
+      break;
+    case 'room':
+      this.room = message.room;
+      this.player = message.player;
+      this.emit('room', message.room, message.player);
+      break;
+    case 'start':
+      this.player = message.player;
+      this.snapshots = [];
+      this.game = new Simulation({
+        seed: message.seed,
+        levels: this.levels,
+        characters: message.players.map(function(id) {
+          return Character.find(client.characters, id);
+        }),
+        mode: message.mode
+      });
+      this.emit('start', this.game, message.player);
+      break;
+    case 'state':
+      if(this.game) {
+        this.snapshots.push({ time: Date.now() / 1000, state: message.state });
+        this.snapshots = this.snapshots.slice(-NetworkClient.SNAPSHOTS);
+      }
+      break;
+    case 'event':
+      this.emit('event', message.event);
+      break;
+    case 'ended':
+      this.emit('ended', message.results);
+      break;
+    case 'error':
+      this.emit('error', message.message);
+      break;
+  }
+};
+
+/* Show the game as it was NetworkClient.DELAY seconds ago, between the two
+ * states either side of then. Called once a frame.
+ */
+NetworkClient.prototype.update = function() {
+  var snapshots = this.snapshots,
+      time = Date.now() / 1000 - NetworkClient.DELAY,
+      from = snapshots[0],
+      to = snapshots[0],
+      i;
+
+  if(!this.game || !snapshots.length) {
+    return;
+  }
+  for(i = 0; i < snapshots.length; i++) {
+    to = snapshots[i];
+    if(to.time >= time) {
+      break;
+    }
+    from = to;
+  }
+  this.game.setState(NetworkClient.interpolate(from.state, to.state,
+    to.time > from.time ? (time - from.time) / (to.time - from.time) : 1));
+  this.emit('state', this.game);
+};
+
+/* A state part of the way (t from 0 to 1) from one state to the next. Only
+ * positions are worked out in between, everything else is the next state's.
+ * Anything that jumped, like an enemy going back to the start of its lane or
+ * a level changing, is just put where it ended up.
+ */
+NetworkClient.interpolate = function(from, to, t) {
+  var state = JSON.parse(JSON.stringify(to));
+
+  function between(a, b) {
+    return a + (b - a) * t;
+  }
+  function move(entity, previous) {
+    var x = entity.x,
+        y = entity.y;
+
+    if(previous && previous.y === y && Math.abs(previous.x - x) <= 1) {
+      entity.x = between(previous.x, x);
+    }
+    if(previous && previous.x === x && Math.abs(previous.y - y) <= 1) {
+      entity.y = between(previous.y, y);
+    }
+  }
+
+  t = Math.max(0, Math.min(1, t));
+  if(from.players[0].level !== to.players[0].level) {
+    return state;
+  }
+  state.players.forEach(function(player, index) {
+    move(player, from.players[index]);
+  });
+  state.enemies.forEach(function(enemy, index) {
+    var previous = from.enemies[index];
+    if(previous && previous.type === enemy.type) {
+      move(enemy, previous);
+    }
+  });
+  // Carried boxes go with their player
+  state.boxes.forEach(function(box) {
+    if(box.carrier !== null) {
+      box.x = state.players[box.carrier].x;
+      box.y = state.players[box.carrier].y;
+    }
+  });
+  return state;
+};
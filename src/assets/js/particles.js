@@ -0,0 +1,131 @@
+/* Particles.js
+ * Little bits thrown off by what happens on the board: dust when a player
+ * sets off or pushes a crate, sparks when a box is run over and confetti
+ * on a delivery. They're only for show, so they have a random number
+ * generator of their own and never touch the game's, a replay or a game on
+ * a game server plays out the same with or without them.
+ *
+ * Every kind is a preset in Particles.PRESETS and thrown from a tile:
+ *
+ *   particles.emit('sparks', box.x, box.y);
+ *   particles.update(dt);
+ *   particles.render();
+ */
+var Particles = function() {
+  this.random = new Random(Random.createSeed());
+  this.particles = []; // every particle still going, { x, y, vx, vy, gravity, size, color, life, age, spin, angle }
+};
+
+/* The kinds of particles. Each throws count particles from height pixels
+ * above where the tile's sprite stands, at angles (in degrees, 0 is right
+ * and 90 is up) within spread either side of angle, and has:
+ *
+ *   speed   - [min, max] pixels a second they're thrown at
+ *   life    - [min, max] seconds they last, they fade out as they go
+ *   size    - [min, max] pixels across
+ *   gravity - pixels a second they speed up falling, less than 0 to float up
+ *   colors  - picked from at random
+ *   spin    - drawn as spinning strips rather than squares
+ */
+Particles.PRESETS = {
+  dust: {
+    count: 6,
+    height: 10,
+    angle: 90,
+    spread: 70,
+    speed: [15, 45],
+    life: [0.3, 0.6],
+    size: [4, 8],
+    gravity: -20,
+    colors: ['rgba(180, 160, 130, 0.7)', 'rgba(150, 130, 100, 0.7)']
+  },
+  sparks: {
+    count: 14,
+    height: 30,
+    angle: 90,
+    spread: 80,
+    speed: [80, 200],
+    life: [0.2, 0.5],
+    size: [2, 4],
+    gravity: 400,
+    colors: ['#ffd700', '#ff851b', '#fff']
+  },
+  confetti: {
+    count: 30,
+    height: 60,
+    angle: 90,
+    spread: 50,
+    speed: [120, 260],
+    life: [0.8, 1.4],
+    size: [4, 8],
+    gravity: 300,
+    colors: ['#ff4136', '#ffd700', '#2ecc40', '#0074d9', '#b10dc9'],
+    spin: true
+  }
+};
+
+// Throw a preset's particles from the tile at x, y (in tiles, like the entities)
+Particles.prototype.emit = function(name, x, y) {
+  var preset = Particles.PRESETS[name],
+      random = this.random,
+      left = (x + 0.5) * colWidth,
+      top = y * rowHeight - offsetY + 130 - preset.height;
+
+  function between(range) {
+    return range[0] + random.next() * (range[1] - range[0]);
+  }
+
+  for(var i = 0; i < preset.count; i++) {
+    var angle = (preset.angle + (random.next() * 2 - 1) * preset.spread) * Math.PI / 180,
+        speed = between(preset.speed);
+
+    this.particles.push({
+      x: left,
+      y: top,
+      vx: Math.cos(angle) * speed,
+      vy: -Math.sin(angle) * speed,
+      gravity: preset.gravity,
+      size: between(preset.size),
+      color: preset.colors[random.int(0, preset.colors.length)],
+      life: between(preset.life),
+      age: 0,
+      spin: preset.spin ? (random.next() * 2 - 1) * 10 : 0,
+      angle: random.next() * Math.PI
+    });
+  }
+};
+
+// Move every particle on by the time delta, dropping the ones that are done
+Particles.prototype.update = function(dt) {
+  this.particles = this.particles.filter(function(particle) {
+    particle.age += dt;
+    particle.vy += particle.gravity * dt;
+    particle.x += particle.vx * dt;
+    particle.y += particle.vy * dt;
+    particle.angle += particle.spin * dt;
+    return particle.age < particle.life;
+  });
+};
+
+Particles.prototype.render = function() {
+  this.particles.forEach(function(particle) {
+    var size = particle.size;
+
+    ctx.save();
+    ctx.globalAlpha *= 1 - particle.age / particle.life;
+    ctx.fillStyle = particle.color;
+    ctx.translate(particle.x, particle.y);
+    if(particle.spin) {
+      ctx.rotate(particle.angle);
+      ctx.fillRect(-size / 2, -size / 4, size, size / 2);
+    } else {
+      ctx.fillRect(-size / 2, -size / 2, size, size);
+    }
+    ctx.restore();
+  });
+};
+
+// Drop every particle, for when the board changes all at once
+Particles.prototype.clear = function() {
+  this.particles = [];
+};
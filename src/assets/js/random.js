@@ -0,0 +1,91 @@
+/* Random.js
+ * A small seedable random number generator (mulberry32). Every random
+ * decision the game makes goes through an instance of this so the same seed
+ * always produces the same game, in the browser or headless.
+ */
+var Random = function(seed) {
+  // Unsigned 32 bit seed, the state moves forward on every call to next()
+  this.seed = seed >>> 0;
+  this.state = this.seed;
+};
+
+// Returns a float between 0 (included) and 1 (excluded)
+Random.prototype.next = function() {
+  var t = this.state = (this.state + 0x6D2B79F5) | 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Return a random Integer between min (included) and max (excluded)
+Random.prototype.int = function(min, max) {
+  min = Math.ceil(min);
+  max = Math.floor(max);
+  return Math.floor(this.next() * (max - min)) + min;
+};
+
+// Returns a random integer between min (included) and max (included)
+Random.prototype.intInclusive = function(min, max) {
+  min = Math.ceil(min);
+  max = Math.floor(max);
+  return Math.floor(this.next() * (max - min + 1)) + min;
+};
+
+// Returns a random integer excluding a passed number
+Random.prototype.intExclude = function(min, max, exclude) {
+  var random = this.int(min, max);
+  // If the random number equals exclude add or subtract to it based on min
+  if(random === exclude) {
+    if(random > Math.ceil(min)) {
+      random -= 1;
+    } else {
+      random += 1;
+    }
+  }
+  return random;
+};
+
+// Returns a random integer between min and max (included) that isn't in excludeArray
+Random.prototype.intExcludeMultiple = function(min, max, excludeArray) {
+  var randomArray = [];
+  min = Math.ceil(min);
+  max = Math.floor(max);
+  // If the random number equals a number in excludeArray don't include in random array
+  for(var i = min; i <= max; i++) {
+    if(excludeArray.indexOf(i) === -1) {
+      randomArray.push(i);
+    }
+  }
+  return randomArray[this.int(0, randomArray.length)];
+};
+
+// Returns a random item from an array
+Random.prototype.pick = function(array) {
+  return array[this.int(0, array.length)];
+};
+
+/* Returns a random key of an object of weights, e.g. { bug: 3, truck: 1 }
+ * picks bug three times as often as truck.
+ */
+Random.prototype.weighted = function(weights) {
+  var keys = Object.keys(weights),
+      total = 0,
+      roll;
+
+  keys.forEach(function(key) {
+    total += weights[key];
+  });
+  roll = this.next() * total;
+  for(var i = 0; i < keys.length; i++) {
+    roll -= weights[keys[i]];
+    if(roll < 0) {
+      return keys[i];
+    }
+  }
+  return keys[keys.length - 1];
+};
+
+// Create a seed when one isn't given, the only place we use Math.random
+Random.createSeed = function() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+};
@@ -0,0 +1,163 @@
+/* Renderer.js
+ * Draws a frame of the board in named layers, one over the other in the
+ * order they're added. Every frame the engine hands each layer what goes on
+ * it, then draws them all at once:
+ *
+ *   renderer.layer('tiles');
+ *   renderer.layer('entities', { sorted: true });
+ *
+ *   renderer.add('entities', function() { enemy.render(); }, enemy.y);
+ *   renderer.draw();
+ *
+ * A sorted layer draws what's on it by row, lowest first, so whatever
+ * stands further down the board overlaps what's behind it, like a rock in
+ * row 4 standing in front of an enemy driving in row 3. Things on the same
+ * row are drawn in the order they were added.
+ *
+ * The renderer also shakes the board and flashes it a color, for hits and
+ * the like. These move on the dt handed to update(), which the engine hands
+ * over on every screen so they always die down.
+ */
+var Renderer = function() {
+  this.layers = []; // in the order they're drawn, { name, sorted, fixed, items }
+  this.width = 505; // size of the board, for the flash
+  this.height = 606;
+  this.random = new Random(Random.createSeed()); // which way the board shakes, the game's own is left alone
+  this.shaking = null; // { strength, tween } while the board shakes
+  this.flashing = null; // { color, tween } while the board flashes
+};
+
+/* Add a layer on top of the ones already there. Options: sorted, draw it by
+ * row, fixed, keep it still while the board shakes and draw it over the
+ * flash, like a score drawn over the board.
+ */
+Renderer.prototype.layer = function(name, options) {
+  options = options || {};
+  this.layers.push({
+    name: name,
+    sorted: !!options.sorted,
+    fixed: !!options.fixed,
+    items: []
+  });
+  return this;
+};
+
+Renderer.prototype.find = function(name) {
+  for(var i = 0; i < this.layers.length; i++) {
+    if(this.layers[i].name === name) {
+      return this.layers[i];
+    }
+  }
+  return null;
+};
+
+/* Put something on a layer for the next draw(). Parameters: render, called
+ * to draw it, and row, where it stands on the board, for sorted layers.
+ */
+Renderer.prototype.add = function(name, render, row) {
+  var layer = this.find(name);
+
+  if(!layer) {
+    throw new Error('There\'s no "' + name + '" layer to draw on');
+  }
+  layer.items.push({ render: render, row: row || 0, index: layer.items.length });
+};
+
+/* Draw every layer, bottom first, and empty them for the next frame. The
+ * board is shaken and flashed as a whole, fixed layers go on top of it.
+ */
+Renderer.prototype.draw = function() {
+  var offset = this.shakeOffset(),
+      layers = this.layers;
+
+  // A shaken board leaves its edges uncovered, so start from nothing
+  ctx.clearRect(0, 0, this.width, this.height);
+
+  ctx.save();
+  ctx.translate(offset.x, offset.y);
+  layers.forEach(function(layer) {
+    if(!layer.fixed) {
+      this.drawLayer(layer);
+    }
+  }, this);
+  ctx.restore();
+
+  if(this.flashing) {
+    ctx.save();
+    ctx.globalAlpha *= 1 - this.flashing.tween.value();
+    ctx.fillStyle = this.flashing.color;
+    ctx.fillRect(0, 0, this.width, this.height);
+    ctx.restore();
+  }
+
+  layers.forEach(function(layer) {
+    if(layer.fixed) {
+      this.drawLayer(layer);
+    }
+  }, this);
+};
+
+Renderer.prototype.drawLayer = function(layer) {
+  var items = layer.items;
+
+  if(layer.sorted) {
+    // Sort isn't stable everywhere, so ties go by the order they were added
+    items.sort(function(a, b) {
+      return a.row - b.row || a.index - b.index;
+    });
+  }
+  items.forEach(function(item) {
+    item.render();
+  });
+  layer.items = [];
+};
+
+// Set the size of the board, in board units
+Renderer.prototype.resize = function(width, height) {
+  this.width = width;
+  this.height = height;
+};
+
+/* Shake the board, up to strength pixels either way, settling down over
+ * duration seconds. A weaker shake doesn't cut a stronger one short.
+ */
+Renderer.prototype.shake = function(strength, duration) {
+  if(!this.shaking || strength >= this.shaking.strength * (1 - this.shaking.tween.value())) {
+    this.shaking = { strength: strength, tween: new Tween(0, 1, duration, Easing.outQuad) };
+  }
+};
+
+// Flash the board a color, fading out over duration seconds
+Renderer.prototype.flash = function(color, duration) {
+  this.flashing = { color: color, tween: new Tween(0, 1, duration, Easing.inQuad) };
+};
+
+// How far the board is shaken right now, in pixels
+Renderer.prototype.shakeOffset = function() {
+  var strength;
+
+  if(!this.shaking) {
+    return { x: 0, y: 0 };
+  }
+  strength = this.shaking.strength * (1 - this.shaking.tween.value());
+  return {
+    x: (this.random.next() * 2 - 1) * strength,
+    y: (this.random.next() * 2 - 1) * strength
+  };
+};
+
+// Move the shake and flash on by the time delta
+Renderer.prototype.update = function(dt) {
+  if(this.shaking && this.shaking.tween.update(dt)) {
+    this.shaking = null;
+  }
+  if(this.flashing && this.flashing.tween.update(dt)) {
+    this.flashing = null;
+  }
+};
+
+// Stop shaking and flashing right away
+Renderer.prototype.reset = function() {
+  this.shaking = null;
+  this.flashing = null;
+};
@@ -0,0 +1,195 @@
+/* Replay.js
+ * Records a game as its seed plus every input, the player it was for and the
+ * simulation frame it arrived on. Because the Simulation is deterministic
+ * that's all that's needed to play the whole session back, enemy and box
+ * spawns included.
+ *
+ * Replays are saved and loaded as plain JSON:
+ *   { "version": 5, "seed": 42, "players": ["boy", "cat-girl"], "mode": "coop",
+ *     "timeMode": "rush", "step": 0.0166, "frames": 3600,
+ *     "inputs": [{ "frame": 12, "direction": "up", "player": 0 }, ...] }
+ */
+var Replay = function(seed, players, mode, timeMode) {
+  this.seed = seed >>> 0;
+  this.players = players || [Character.DEFAULT.id]; // ids of the characters played, one per player
+  this.mode = mode || Simulation.modeFor(this.players.length);
+  this.timeMode = timeMode || 'endless';
+  this.step = Simulation.STEP;
+  this.frames = 0; // length of the session in simulation frames
+  this.inputs = [];
+  this.recorded = null; // date the session was recorded
+  this.game = null; // simulation being recorded
+  this.onInput = null;
+};
+
+/* Bump this when the format or the simulation changes in a way that breaks
+ * old replays, only replays of the current version are played back.
+ *   2: players can't be hit again for a moment after a hit
+ *   3: collectibles are put out by the game clock
+ *   4: boxes past what a player can carry are dropped when a power-up ends
+ *   5: crates can't be pushed onto a player
+ */
+Replay.VERSION = 5;
+
+// Start recording a simulation, returns the new Replay
+Replay.record = function(game) {
+  var replay = new Replay(game.seed, game.characters.map(function(character) {
+    return character.id;
+  }), game.mode, game.timeMode);
+
+  replay.recorded = new Date().toISOString();
+  replay.game = game;
+  replay.onInput = function(direction, frame, player) {
+    replay.inputs.push({ frame: frame, direction: direction, player: player });
+  };
+  game.on('input', replay.onInput);
+
+  return replay;
+};
+
+// Stop recording and remember how long the session was
+Replay.prototype.stop = function() {
+  if(this.game) {
+    this.frames = this.game.frame;
+    this.game.off('input', this.onInput);
+    this.game = null;
+  }
+  return this;
+};
+
+// Number of frames recorded so far
+Replay.prototype.length = function() {
+  return this.game ? this.game.frame : this.frames;
+};
+
+Replay.prototype.toJSON = function() {
+  return {
+    version: Replay.VERSION,
+    seed: this.seed,
+    players: this.players.slice(),
+    mode: this.mode,
+    timeMode: this.timeMode,
+    step: this.step,
+    frames: this.length(),
+    recorded: this.recorded,
+    inputs: this.inputs.slice()
+  };
+};
+
+// Save the replay as a JSON string
+Replay.prototype.save = function() {
+  return JSON.stringify(this);
+};
+
+// Create a replay from a JSON string or an object made by toJSON()
+Replay.load = function(json) {
+  var data = typeof json === 'string' ? JSON.parse(json) : json,
+      replay;
+
+  if(!data || data.version !== Replay.VERSION) {
+    throw new Error('Unsupported replay version: ' + (data && data.version));
+  }
+  if(data.step !== Simulation.STEP) {
+    throw new Error('Replay was recorded with a different simulation step');
+  }
+
+  replay = new Replay(data.seed, data.players, data.mode, data.timeMode);
+  replay.frames = data.frames;
+  replay.recorded = data.recorded || null;
+  replay.inputs = data.inputs.map(function(input) {
+    return { frame: input.frame, direction: input.direction, player: input.player };
+  });
+  return replay;
+};
+
+/* Plays a replay back through a fresh Simulation frame for frame. It can be
+ * paused, sped up and seeked to any frame. Seeking backwards restarts the
+ * simulation from the seed and fast forwards, there's no other way back.
+ * Options: levels - the levels to play on, characters - the characters the
+ * replay's players are picked from, game - an existing Simulation.
+ */
+var ReplayPlayer = function(replay, options) {
+  options = options || {};
+  this.replay = replay;
+  this.characters = replay.players.map(function(id) {
+    return Character.find(options.characters || [Character.DEFAULT], id);
+  });
+  this.game = options.game || new Simulation({
+    seed: replay.seed,
+    levels: options.levels,
+    characters: this.characters,
+    mode: replay.mode,
+    timeMode: replay.timeMode
+  });
+  this.speed = 1;
+  this.paused = false;
+  this.accumulator = 0;
+  this.restart();
+};
+
+// Speeds playback can run at
+ReplayPlayer.SPEEDS = [1, 2, 4];
+
+// Go back to the first frame
+ReplayPlayer.prototype.restart = function() {
+  this.game.reset(this.replay.seed, this.characters, this.replay.mode, this.replay.timeMode);
+  this.nextInput = 0;
+  this.accumulator = 0;
+};
+
+// True once every recorded frame has been played
+ReplayPlayer.prototype.finished = function() {
+  return this.game.frame >= this.replay.frames || this.game.gameOver;
+};
+
+// Apply the inputs for the current frame then run it
+ReplayPlayer.prototype.stepFrame = function() {
+  var inputs = this.replay.inputs;
+
+  while(this.nextInput < inputs.length && inputs[this.nextInput].frame <= this.game.frame) {
+    this.game.input(inputs[this.nextInput].direction, inputs[this.nextInput].player);
+    this.nextInput += 1;
+  }
+  this.game.step();
+};
+
+// Feed real elapsed time into playback, scaled by the playback speed
+ReplayPlayer.prototype.advance = function(dt) {
+  if(this.paused) {
+    return;
+  }
+
+  this.accumulator += dt * this.speed;
+  while(this.accumulator >= Simulation.STEP && !this.finished()) {
+    this.accumulator -= Simulation.STEP;
+    this.stepFrame();
+  }
+};
+
+// Jump to a frame, replaying from the start if it's behind us
+ReplayPlayer.prototype.seek = function(frame) {
+  frame = Math.max(0, Math.min(frame, this.replay.frames));
+
+  if(frame < this.game.frame) {
+    this.restart();
+  }
+  while(this.game.frame < frame && !this.finished()) {
+    this.stepFrame();
+  }
+  this.accumulator = 0;
+};
+
+ReplayPlayer.prototype.pause = function() {
+  this.paused = true;
+};
+
+ReplayPlayer.prototype.resume = function() {
+  this.paused = false;
+};
+
+ReplayPlayer.prototype.setSpeed = function(speed) {
+  if(ReplayPlayer.SPEEDS.indexOf(speed) === -1) {
+    throw new Error('Unsupported playback speed: ' + speed);
+  }
+  this.speed = speed;
+};
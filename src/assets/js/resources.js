@@ -1,99 +1,275 @@
 /* Resources.js
- * This is simply an image loading utility. It eases the process of loading
- * image files so that they can be used within your game. It also includes
- * a simple "caching" layer so it will reuse cached images if you attempt
- * to load the same image multiple times.
+ * This is the game's asset loader. It eases the process of loading image,
+ * audio and JSON files so that they can be used within your game. It also
+ * includes a simple "caching" layer so it will reuse cached assets if you
+ * attempt to load the same file multiple times.
+ *
+ * Loading returns a promise, files that fail are tried again a couple of
+ * times before the promise is rejected. Sprite sheets can be loaded with
+ * loadAtlas() and their frames are then used just like separate images.
  */
 (function() {
     var resourceCache = {};
-    var loading = [];
+    var loading = {}; // promises for files that are being loaded
+    var failed = {}; // errors for files that couldn't be loaded
     var readyCallbacks = [];
+    var warned = {};
+    var placeholder;
 
-    /* This is the publicly accessible image loading function. It accepts
-     * an array of strings pointing to image files or a string for a single
-     * image. It will then call our private image loading function accordingly.
+    // How many more times a file is tried after it fails, and how long to wait between
+    var RETRIES = 2,
+        RETRY_DELAY = 500;
+
+    /* Some browsers won't preload audio until the page has been interacted
+     * with, so after this many milliseconds the sound counts as loaded anyway
+     * and finishes loading when it's first played.
+     */
+    var AUDIO_WAIT = 3000;
+
+    /* This is the publicly accessible loading function. It accepts an array
+     * of strings pointing to files or a string for a single file. It returns
+     * a promise for the loaded asset, or an array of them.
      */
     function load(urlOrArr) {
         if(urlOrArr instanceof Array) {
-            /* If the developer passed in an array of images
-             * loop through each value and call our image
-             * loader on that image file
+            /* If the developer passed in an array of files
+             * loop through each value and call our loader
+             * on that file
              */
-            urlOrArr.forEach(function(url) {
-                _load(url);
-            });
+            return Promise.all(urlOrArr.map(function(url) {
+                return _load(url);
+            }));
         } else {
             /* The developer did not pass an array to this function,
-             * assume the value is a string and call our image loader
+             * assume the value is a string and call our loader
              * directly.
              */
-            _load(urlOrArr);
+            return _load(urlOrArr);
         }
     }
 
-    /* This is our private image loader function, it is
-     * called by the public image loader function.
+    /* This is our private loader function, it is called by the public
+     * loading function.
      */
     function _load(url) {
         if(resourceCache[url]) {
             /* If this URL has been previously loaded it will exist within
-             * our resourceCache array. Just return that image rather
-             * re-loading the image.
+             * our resourceCache object. Just hand that back rather than
+             * re-loading the file.
              */
-            return resourceCache[url];
-        } else {
-            /* This URL has not been previously loaded and is not present
-             * within our cache; we'll need to load this image.
+            return Promise.resolve(resourceCache[url]);
+        }
+        if(loading[url]) {
+            return loading[url];
+        }
+
+        /* This URL has not been previously loaded and is not present
+         * within our cache; we'll need to load it. Loading it again after
+         * it failed starts over, which is how a retry button works.
+         */
+        delete failed[url];
+        loading[url] = attempt(url, RETRIES).then(function(asset) {
+            /* Once our file has properly loaded, add it to our cache
+             * so that we can simply return it if the developer
+             * attempts to load this file in the future.
+             */
+            resourceCache[url] = asset;
+            delete loading[url];
+
+            /* Once the file is actually loaded and properly cached,
+             * call all of the onReady() callbacks we have defined.
              */
+            if(isReady()) {
+                readyCallbacks.forEach(function(func) { func(); });
+            }
+            return asset;
+        }, function(err) {
+            failed[url] = err;
+            delete loading[url];
+            throw err;
+        });
+
+        return loading[url];
+    }
+
+    // Try to fetch a file, waiting a little and trying again when it fails
+    function attempt(url, retries) {
+        return fetchAsset(url).catch(function(err) {
+            if(retries <= 0) {
+                throw new Error('Could not load ' + url + (err && err.message ? ': ' + err.message : ''));
+            }
+            return new Promise(function(resolve) {
+                setTimeout(resolve, RETRY_DELAY);
+            }).then(function() {
+                return attempt(url, retries - 1);
+            });
+        });
+    }
+
+    // Load a single file the right way for its type
+    function fetchAsset(url) {
+        switch(type(url)) {
+          case 'image':
+            return loadImage(url);
+          case 'audio':
+            return loadAudio(url);
+          case 'json':
+            return loadJSON(url);
+          default:
+            return Promise.reject(new Error('unknown file type'));
+        }
+    }
+
+    // What kind of file a URL points to, going by its extension
+    function type(url) {
+        var extension = String(url).split('?')[0].split('.').pop().toLowerCase();
+        if(['png', 'jpg', 'jpeg', 'gif'].indexOf(extension) !== -1) {
+            return 'image';
+        }
+        if(['wav', 'mp3', 'ogg', 'm4a'].indexOf(extension) !== -1) {
+            return 'audio';
+        }
+        if(extension === 'json') {
+            return 'json';
+        }
+        return null;
+    }
+
+    function loadImage(url) {
+        return new Promise(function(resolve, reject) {
             var img = new Image();
             img.onload = function() {
-                /* Once our image has properly loaded, add it to our cache
-                 * so that we can simply return this image if the developer
-                 * attempts to load this file in the future.
-                 */
-                resourceCache[url] = img;
-
-                /* Once the image is actually loaded and properly cached,
-                 * call all of the onReady() callbacks we have defined.
-                 */
-                if(isReady()) {
-                    readyCallbacks.forEach(function(func) { func(); });
-                }
+                resolve(img);
+            };
+            img.onerror = function() {
+                reject(new Error('image failed'));
             };
-
-            /* Set the initial cache value to false, this will change when
-             * the image's onload event handler is called. Finally, point
-             * the image's src attribute to the passed in URL.
-             */
-            resourceCache[url] = false;
             img.src = url;
-        }
+        });
+    }
+
+    function loadAudio(url) {
+        return new Promise(function(resolve, reject) {
+            var audio = new Audio(),
+                timer;
+
+            function done() {
+                clearTimeout(timer);
+                audio.removeEventListener('canplaythrough', done);
+                resolve(audio);
+            }
+
+            audio.addEventListener('canplaythrough', done);
+            audio.addEventListener('error', function() {
+                clearTimeout(timer);
+                reject(new Error('audio failed'));
+            });
+            timer = setTimeout(done, AUDIO_WAIT);
+            audio.preload = 'auto';
+            audio.src = url;
+            audio.load();
+        });
+    }
+
+    function loadJSON(url) {
+        return fetch(url).then(function(response) {
+            if(!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            return response.json();
+        });
     }
 
-    /* This is used by developers to grab references to images they know
-     * have been previously loaded. If an image is cached, this functions
-     * the same as calling load() on that URL.
+    /* Load a sprite sheet and the JSON describing where each sprite is on it,
+     * in the "hash" format most sprite packers export:
+     *
+     *   { "frames": { "enemy-bug.png": { "frame": { "x": 0, "y": 0, "w": 101, "h": 171 } } },
+     *     "meta": { "image": "sprites.png" } }
+     *
+     * Frames are cut out once and cached under their name in the sheet's
+     * folder, so with the sheet in assets/img/ the frame above is drawn with
+     * Resources.get('assets/img/enemy-bug.png') like any other image.
+     */
+    function loadAtlas(url) {
+        var folder = url.slice(0, url.lastIndexOf('/') + 1);
+
+        return _load(url).then(function(atlas) {
+            return _load(folder + atlas.meta.image).then(function(sheet) {
+                return Object.keys(atlas.frames).map(function(name) {
+                    var frame = atlas.frames[name].frame;
+                    resourceCache[folder + name] = cut(sheet, frame);
+                    return folder + name;
+                });
+            });
+        });
+    }
+
+    // Copy part of an image onto a canvas of its own
+    function cut(image, frame) {
+        var canvas = document.createElement('canvas');
+        canvas.width = frame.w;
+        canvas.height = frame.h;
+        canvas.getContext('2d').drawImage(image, frame.x, frame.y, frame.w, frame.h, 0, 0, frame.w, frame.h);
+        return canvas;
+    }
+
+    /* This is used by developers to grab references to assets they know
+     * have been previously loaded. An image that isn't loaded yet is drawn
+     * as a placeholder box while it's loaded, instead of breaking the game.
      */
     function get(url) {
-        return resourceCache[url];
+        if(resourceCache[url]) {
+            return resourceCache[url];
+        }
+        if(type(url) !== 'image') {
+            return undefined;
+        }
+        if(!warned[url]) {
+            warned[url] = true;
+            console.warn('Image ' + url + ' was drawn before it was loaded');
+            _load(url).catch(function(err) {
+                console.error(err.message);
+            });
+        }
+        return missing();
+    }
+
+    // A see-through magenta tile, hard to miss but it won't hide the game
+    function missing() {
+        if(!placeholder) {
+            placeholder = document.createElement('canvas');
+            placeholder.width = 101;
+            placeholder.height = 171;
+            var context = placeholder.getContext('2d');
+            context.fillStyle = 'rgba(255, 0, 255, 0.5)';
+            context.fillRect(0, 50, 101, 83);
+        }
+        return placeholder;
     }
 
-    /* This function determines if all of the images that have been requested
+    /* How far along loading is: the number of files asked for, how many of
+     * them are loaded and the URLs of any that failed.
+     */
+    function progress() {
+        var loaded = Object.keys(resourceCache).length,
+            pending = Object.keys(loading).length,
+            errors = Object.keys(failed);
+        return {
+            total: loaded + pending + errors.length,
+            loaded: loaded,
+            failed: errors
+        };
+    }
+
+    /* This function determines if all of the files that have been requested
      * for loading have in fact been properly loaded.
      */
     function isReady() {
-        var ready = true;
-        for(var k in resourceCache) {
-            if(resourceCache.hasOwnProperty(k) &&
-               !resourceCache[k]) {
-                ready = false;
-            }
-        }
-        return ready;
+        return Object.keys(loading).length === 0 && Object.keys(failed).length === 0;
     }
 
     /* This function will add a function to the callback stack that is called
-     * when all requested images are properly loaded.
+     * when all requested files are properly loaded.
      */
     function onReady(func) {
         readyCallbacks.push(func);
@@ -104,52 +280,10 @@
      */
     window.Resources = {
         load: load,
+        loadAtlas: loadAtlas,
         get: get,
+        progress: progress,
         onReady: onReady,
         isReady: isReady
     };
 })();
-
-// Return a random Integer between min and max
-function getRandomInt(min, max) {
-  min = Math.ceil(min);
-  max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min)) + min;
-}
-
-// Returns a random integer between min (included) and max (included)
-function getRandomIntInclusive(min, max) {
-  min = Math.ceil(min);
-  max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-// Returns a random integer excluding a passed number
-function getRandomIntExclude(min, max, exclude) {
-  min = Math.ceil(min);
-  max = Math.floor(max);
-  var random = Math.floor(Math.random() * (max - min)) + min;
-  // If the random number equals exclude add or subtract to it based on min
-  if(random === exclude) {
-    if(random > min ) {
-      random -= 1;
-    } else {
-      random += 1;
-    }
-  }
-  return random;
-}
-
-// Returns a random integer excluding a passed number
-function getRandomIntExcludeMultiple(min, max, excludeArray) {
-  min = Math.ceil(min);
-  max = Math.floor(max);
-  var randomArray = []
-  // If the random number equals a number in excludeArray add don't include in random array
-  for(i = min; i <= max; i++) {
-    if(excludeArray.indexOf(i) === -1){
-      randomArray.push(i);
-    }
-  }
-  return randomArray[getRandomInt(0, randomArray.length)];
-}
@@ -0,0 +1,317 @@
+/* Screens.js
+ * Draws the game's menu and message screens (title, pause, level complete,
+ * game over and so on) straight onto the canvas, on top of the board.
+ */
+var Screens = (function() {
+
+    /* Size of the board in game units. The canvas itself can be a lot bigger
+     * on high-DPI screens, so the engine tells us with resize().
+     */
+    var boardWidth = 505,
+        boardHeight = 606;
+
+    // Drawn under the picked character, the engine preloads it with images
+    var selector = 'assets/img/selector.png';
+
+    function resize(width, height) {
+        boardWidth = width;
+        boardHeight = height;
+    }
+
+    // Darken whatever is already drawn so the text on top is readable
+    function shade(ctx, alpha) {
+        ctx.save();
+        ctx.globalAlpha = alpha === undefined ? 1 : alpha;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, boardWidth, boardHeight);
+        ctx.restore();
+    }
+
+    /* Draw a title and any number of lines of text centered on the canvas.
+     * Options: alpha - fade the whole screen, hint - small text at the bottom.
+     */
+    function message(ctx, title, lines, options) {
+        var width = boardWidth,
+            height = boardHeight,
+            y = height / 2 - (lines.length * 30) / 2;
+
+        options = options || {};
+
+        shade(ctx, options.alpha);
+
+        ctx.save();
+        ctx.globalAlpha = options.alpha === undefined ? 1 : options.alpha;
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 48px sans-serif';
+        ctx.fillText(title, width / 2, y - 20);
+
+        ctx.font = '24px sans-serif';
+        lines.forEach(function(line, index) {
+            ctx.fillText(line, width / 2, y + 30 + index * 30);
+        });
+
+        if(options.hint) {
+            ctx.font = '18px sans-serif';
+            ctx.fillStyle = '#ffd700';
+            ctx.fillText(options.hint, width / 2, height - 60);
+        }
+        ctx.restore();
+    }
+
+    /* Parameters: progress, how far along Resources is, and error, set when
+     * something couldn't be loaded and the player can try again.
+     */
+    function loading(ctx, progress, error) {
+        var barWidth = boardWidth - 100,
+            barTop = boardHeight / 2 + 10,
+            done = progress.total ? progress.loaded / progress.total : 0;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, boardWidth, boardHeight);
+
+        if(error) {
+            message(ctx, 'Loading Failed', progress.failed.length ? progress.failed.slice(0, 4) : [error.message], {
+                hint: 'Press Enter to try again'
+            });
+            return;
+        }
+
+        message(ctx, 'Loading...', []);
+
+        ctx.save();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(50, barTop, barWidth, 20);
+        ctx.fillStyle = '#ffd700';
+        ctx.fillRect(53, barTop + 3, (barWidth - 6) * done, 14);
+        ctx.restore();
+    }
+
+    // Parameter: timeMode, the name of the time mode picked
+    function title(ctx, timeMode) {
+        message(ctx, 'IndieBoxer', ['Save the IndieBoxes!', '\u25B2 ' + timeMode + ' \u25BC'], {
+            hint: 'Up/Down for mode, Enter to start, H for high scores'
+        });
+    }
+
+    function paused(ctx) {
+        message(ctx, 'Paused', [], {
+            hint: 'P to resume, Q to quit'
+        });
+    }
+
+    /* Lay the characters out side by side with the selector under the one
+     * picked and the stats of that character underneath. Options: mode - the
+     * name of the game mode, player - which player is picking in two player
+     * games, changeMode - whether up and down change the mode.
+     */
+    function characterSelect(ctx, characters, index, options) {
+        var width = boardWidth,
+            spacing = width / characters.length,
+            picked = characters[index],
+            top = 150,
+            hint = 'Left/Right to pick, Enter to play';
+
+        options = options || {};
+
+        shade(ctx);
+
+        ctx.save();
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 36px sans-serif';
+        ctx.fillText(options.player ? 'Player ' + options.player + ', Pick' : 'Pick Your Boxer', width / 2, 70);
+        if(options.mode) {
+            ctx.font = '22px sans-serif';
+            ctx.fillText((options.changeMode ? '\u25B2 ' : '') + options.mode + (options.changeMode ? ' \u25BC' : ''),
+                         width / 2, 110);
+            if(options.changeMode) {
+                hint = 'Up/Down for players, ' + hint;
+            }
+        }
+
+        characters.forEach(function(character, i) {
+            var x = spacing * i + (spacing - colWidth) / 2;
+            if(i === index) {
+                ctx.drawImage(Resources.get(selector), x, top);
+            }
+            ctx.drawImage(Resources.get(character.sprite), x, top);
+        });
+
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillText(picked.name, width / 2, top + 220);
+        ctx.font = '20px sans-serif';
+        ctx.fillText('Speed ' + stars(picked.speed * 3) + '   Lives ' + picked.lives +
+                     '   Carries ' + picked.capacity, width / 2, top + 255);
+
+        ctx.font = '18px sans-serif';
+        ctx.fillStyle = '#ffd700';
+        ctx.fillText(hint, width / 2, boardHeight - 60);
+        ctx.restore();
+    }
+
+    // A rating out of five as stars
+    function stars(rating) {
+        var count = Math.max(1, Math.min(5, Math.round(rating))),
+            text = '';
+        for(var i = 0; i < 5; i++) {
+            text += i < count ? '\u2605' : '\u2606';
+        }
+        return text;
+    }
+
+    // Parameter: level, the number of the level that was just finished
+    function levelComplete(ctx, level, next, alpha) {
+        message(ctx, 'Level ' + level + ' Complete!', ['Up next: ' + next], {
+            alpha: alpha,
+            hint: 'Press Enter to continue'
+        });
+    }
+
+    /* Parameter: stats, what the player managed before the game ended. When
+     * stats.initials is set the player made the high score table and is
+     * typing their initials in. Two player games also have stats.players,
+     * each with a name, points and boxes saved, and versus games a winner,
+     * null for a draw, and timed games the name of their stats.timeMode and
+     * stats.timeUp, set when the time ran out. Parameter: hint, what to
+     * press next if it isn't the usual.
+     */
+    function gameOver(ctx, stats, hint) {
+        var lines = [
+                'Points: ' + stats.points,
+                'Boxes saved: ' + stats.saved,
+                'Level reached: ' + stats.level,
+                'Time: ' + formatTime(stats.time)
+            ],
+            initials;
+
+        hint = hint || 'Enter to try again, H for high scores, Q for title';
+
+        if(stats.timeMode) {
+            lines.unshift(stats.timeMode);
+        }
+        (stats.players || []).forEach(function(player) {
+            lines.push(player.name + ': ' + player.points + ' points, ' + player.saved + ' saved');
+        });
+        if(stats.winner !== undefined) {
+            lines.push(stats.winner ? stats.winner + ' wins!' : 'It\'s a draw!');
+        }
+
+        if(stats.initials !== undefined) {
+            initials = (stats.initials + '___').slice(0, HighScores.INITIALS_LENGTH);
+            lines.push('New high score! ' + initials.split('').join(' '));
+            hint = 'Type your initials, Enter to save';
+        }
+
+        message(ctx, stats.timeUp ? 'TIME\'S UP' : 'GAME OVER', lines, { hint: hint });
+    }
+
+    // Parameter: highlight, rank of a score to pick out, e.g. the one just added
+    function highScores(ctx, scores, highlight) {
+        var width = boardWidth,
+            top = 130;
+
+        shade(ctx);
+
+        ctx.save();
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 40px sans-serif';
+        ctx.fillText('High Scores', width / 2, top - 40);
+
+        ctx.font = '16px monospace';
+        if(scores.length === 0) {
+            ctx.fillText('No scores yet, go save some boxes!', width / 2, top + 20);
+        }
+        ctx.textAlign = 'left';
+        scores.forEach(function(score, index) {
+            ctx.fillStyle = index === highlight ? '#ffd700' : '#fff';
+            ctx.fillText(pad(index + 1 + '.', 4) + pad(score.initials, 4) +
+                         pad(score.points, 7, true) + '  L' + pad(score.level, 3) +
+                         pad(formatTime(score.time), 9, true) + '  ' + formatDate(score.date),
+                         20, top + 20 + index * 28);
+        });
+
+        ctx.textAlign = 'center';
+        ctx.font = '18px sans-serif';
+        ctx.fillStyle = '#ffd700';
+        ctx.fillText('Enter to go back', width / 2, boardHeight - 60);
+        ctx.restore();
+    }
+
+    // Turn seconds into h:mm:ss or m:ss
+    function formatTime(seconds) {
+        var total = Math.floor(seconds || 0),
+            hours = Math.floor(total / 3600),
+            minutes = Math.floor(total / 60) % 60,
+            secs = total % 60;
+        return (hours ? hours + ':' + pad(minutes, 2, true, '0') : minutes) + ':' + pad(secs, 2, true, '0');
+    }
+
+    // Short date like 2017-02-01
+    function formatDate(date) {
+        return String(date || '').slice(0, 10);
+    }
+
+    // Pad a value out to a width, on the left when right aligned
+    function pad(value, width, right, fill) {
+        var text = String(value);
+        fill = fill || ' ';
+        while(text.length < width) {
+            text = right ? fill + text : text + fill;
+        }
+        return text;
+    }
+
+    // Small label in the corner, e.g. while a replay is playing
+    function badge(ctx, text) {
+        ctx.save();
+        ctx.font = 'bold 16px sans-serif';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(8, 58, ctx.measureText(text).width + 16, 26);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, 16, 77);
+        ctx.restore();
+    }
+
+    /* A note that slides down over the top of the board for a moment, like
+     * when an achievement is unlocked. Parameter: alpha, to fade it in and out
+     */
+    function toast(ctx, title, text, alpha) {
+        var width = Math.min(boardWidth - 40, 380),
+            x = (boardWidth - width) / 2,
+            y = 60 - (1 - alpha) * 20;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x, y, width, 56);
+        ctx.strokeStyle = '#ffd700';
+        ctx.strokeRect(x, y, width, 56);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffd700';
+        ctx.font = 'bold 18px sans-serif';
+        ctx.fillText(title, boardWidth / 2, y + 23);
+        ctx.fillStyle = '#fff';
+        ctx.font = '14px sans-serif';
+        ctx.fillText(text, boardWidth / 2, y + 44);
+        ctx.restore();
+    }
+
+    return {
+        images: [selector],
+        resize: resize,
+        message: message,
+        loading: loading,
+        title: title,
+        paused: paused,
+        characterSelect: characterSelect,
+        levelComplete: levelComplete,
+        gameOver: gameOver,
+        highScores: highScores,
+        badge: badge,
+        toast: toast,
+        formatTime: formatTime
+    };
+})();
@@ -0,0 +1,35 @@
+/* Settings.js
+ * Remembers the little things between visits, like the sound settings, the
+ * key bindings and the character picked last, as JSON in localStorage.
+ * Browsers don't always let us at it (private browsing, storage turned off),
+ * then nothing is remembered and the game goes with its defaults:
+ *
+ *   Settings.save('indieboxer.sound', { volume: 0.5, muted: false });
+ *   Settings.load('indieboxer.sound'); // null when nothing could be read
+ */
+var Settings = {
+  load: function(key) {
+    var value;
+    try {
+      value = window.localStorage.getItem(key);
+    } catch(err) {
+      return null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch(err) {
+      // Saved as a plain string before settings were kept as JSON
+      return value;
+    }
+  },
+
+  // Returns whether it could be saved
+  save: function(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch(err) {
+      return false;
+    }
+  }
+};
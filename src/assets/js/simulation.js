@@ -0,0 +1,555 @@
+/* Simulation.js
+ * This is the headless core of the game. It owns all of the game state (the
+ * players, enemies, items, lanes, points and time) and runs the update logic
+ * of the entities defined in app.js without ever touching the canvas or the
+ * DOM. Every random decision goes through a seeded Random instance and time
+ * only moves forward in fixed steps, so the same seed and the same input
+ * stream will always produce the same state.
+ *
+ * Anything that needs to know what happens in the game (the HUD, the lane
+ * viewer, bots) listens for events with on() instead of the entities
+ * writing to the page themselves.
+ *
+ * One or two players can play, on their own or in one of the two player
+ * modes, see Simulation.MODES, and against the clock in one of the time
+ * modes, see Simulation.TIME_MODES:
+ *
+ *   new Simulation({ characters: [boy, catGirl], mode: 'versus', timeMode: 'rush' });
+ *
+ * Game time is kept by a GameClock (clock.js) that only moves as the game
+ * is stepped, game.time reads it.
+ */
+var Simulation = function(options) {
+  options = options || {};
+
+  // Set up the seed, pick one at random if we weren't given one
+  this.seed = options.seed !== undefined ? options.seed >>> 0 : Random.createSeed();
+
+  // The levels from levels.json, either already loaded or the parsed file
+  this.levels = Array.isArray(options.levels) ? options.levels : Level.loadAll(options.levels);
+
+  // The Characters the players picked, one each, and how they play together
+  this.characters = options.characters || [options.character || Character.DEFAULT];
+  this.mode = options.mode || Simulation.modeFor(this.characters.length);
+  this.timeMode = options.timeMode || 'endless';
+
+  this.listeners = {};
+  this.reset();
+};
+
+// Length of a single simulation step in seconds
+Simulation.STEP = 1 / 60;
+
+/* The ways a game can be played and how many players each takes. In co-op
+ * games the players deliver boxes together towards one score, in versus
+ * games they play for their own scores and can steal boxes off each other.
+ * Either way the level goes up on the boxes they deliver between them.
+ */
+Simulation.MODES = {
+  single: { players: 1 },
+  coop: { players: 2 },
+  versus: { players: 2, steal: true }
+};
+
+/* How long a game lasts. Endless games go on until the players are out of
+ * lives, rush hour games are a score attack that ends after limit seconds
+ * and countdown games start with limit seconds and every delivery adds
+ * perDelivery more.
+ */
+Simulation.TIME_MODES = {
+  endless: { name: 'Endless' },
+  rush: { name: 'Rush Hour', limit: 120 },
+  countdown: { name: 'Countdown', limit: 60, perDelivery: 10 }
+};
+
+// The mode a game is played in when none was picked
+Simulation.modeFor = function(players) {
+  return players > 1 ? 'coop' : 'single';
+};
+
+/* Every image a game can draw with the given levels and characters: the
+ * tiles, the characters and the entity sprites from app.js. The engine
+ * preloads these so nothing has to be listed by hand.
+ */
+Simulation.images = function(levels, characters) {
+  var images = [];
+
+  function add(url) {
+    if(images.indexOf(url) === -1) {
+      images.push(url);
+    }
+  }
+
+  levels.forEach(function(level) {
+    level.images().forEach(add);
+  });
+  characters.forEach(function(character) {
+    add(character.sprite);
+  });
+  Object.keys(sprites).forEach(function(name) {
+    [].concat(sprites[name]).forEach(add);
+  });
+  return images;
+};
+
+/* Put the game back to its starting state for the current seed. Listeners
+ * are kept so the page stays subscribed across restarts. A new seed, the
+ * characters (a Character or a list of one per player), a mode and a time
+ * mode can be given for the next game.
+ */
+Simulation.prototype.reset = function(seed, characters, mode, timeMode) {
+  var game = this,
+      players,
+      limit;
+
+  if(seed !== undefined) {
+    this.seed = seed >>> 0;
+  }
+  if(characters) {
+    this.characters = [].concat(characters);
+    this.mode = mode || Simulation.modeFor(this.characters.length);
+  }
+  players = Simulation.MODES[this.mode] ? Simulation.MODES[this.mode].players : 0;
+  if(players !== this.characters.length) {
+    throw new Error('A ' + this.mode + ' game can\'t have ' + this.characters.length + ' players');
+  }
+  if(timeMode) {
+    this.timeMode = timeMode;
+  }
+  if(!Simulation.TIME_MODES[this.timeMode]) {
+    throw new Error('There\'s no "' + this.timeMode + '" time mode');
+  }
+  this.character = this.characters[0]; // the first player's character
+
+  this.random = new Random(this.seed);
+  this.frame = 0; // number of steps run
+  this.clock = new GameClock(); // game time, only moves in fixed steps
+  this.accumulator = 0; // leftover real time not yet simulated
+  this.points = 0; // everyone's points together, less the boxes lost
+  this.gameOver = false;
+  this.boxesLost = [];
+  this.level = this.levelFor(1);
+  this.levelDeliveries = 0; // boxes delivered on the current level
+
+  // Let anything that goes by game time know another whole second has gone by
+  this.clock.every(1, function(time) {
+    game.emit('second', Math.round(time));
+  });
+  // Timed games end when their timer goes off
+  limit = Simulation.TIME_MODES[this.timeMode].limit;
+  this.deadline = limit ? this.clock.after(limit, function() {
+    game.timeUp();
+  }) : null;
+
+  // Instantiate game objects, the players go on once the board is set up
+  this.players = [];
+  this.board = new Board(this);
+  this.collectibles = new Collectibles(this);
+  this.setupLevel();
+  this.players = this.characters.map(function(character, index) {
+    return new Player(this, character, index);
+  }, this);
+  this.player = this.players[0]; // the first player, the only one in a single player game
+
+  this.emit('reset');
+};
+
+// Game time in seconds, it's the clock's
+Object.defineProperty(Simulation.prototype, 'time', {
+  get: function() {
+    return this.clock.time;
+  },
+  set: function(time) {
+    this.clock.time = time;
+  }
+});
+
+// Seconds left in a timed game, null in endless games
+Simulation.prototype.timeLeft = function() {
+  if(this.deadline === null) {
+    return null;
+  }
+  // Once the timer has gone off it's no longer scheduled
+  return this.clock.remaining(this.deadline) || 0;
+};
+
+// Countdown games get more time for every delivery
+Simulation.prototype.bonusTime = function() {
+  var seconds = Simulation.TIME_MODES[this.timeMode].perDelivery;
+
+  if(seconds && this.deadline !== null) {
+    this.clock.delay(this.deadline, seconds);
+  }
+};
+
+// Out of time in a timed game, it's over with whatever the players have scored
+Simulation.prototype.timeUp = function() {
+  if(this.gameOver) {
+    return;
+  }
+  this.gameOver = true;
+  this.emit('timeup');
+  this.emit('gameover');
+};
+
+// The level definition for a level number, the last one repeats forever
+Simulation.prototype.levelFor = function(number) {
+  return this.levels[Math.min(number, this.levels.length) - 1];
+};
+
+/* Set up the board for the current level, the lanes, enemies, obstacles, goals,
+ * boxes, shortcut and the collectibles that show up all come from the level.
+ */
+Simulation.prototype.setupLevel = function() {
+  var level = this.level;
+
+  this.lanes = new Lanes(this);
+
+  this.enemies = [];
+  // One at a time so the ones that scatter keep out of each other's way
+  this.obstacles = [];
+  level.obstacles.forEach(function(obstacle) {
+    this.obstacles.push(new Obstacle(this, obstacle));
+  }, this);
+
+  this.goals = [];
+  level.goals.forEach(function(goal) {
+    this.goals.push(new Goal(this, sprites.goal, goal.accepts));
+  }, this);
+
+  // Every box the level has is on the board at once
+  this.boxes = [];
+  for(var j = 0; j < level.boxes; j++) {
+    this.boxes.push(new Item(this, null, 'indiebox'));
+  }
+
+  // Enemies come last so the ones that go after boxes can find them
+  for(var i = 0; i < level.enemies.count; i++) {
+    this.enemies.push(new Enemy(this));
+  }
+
+  this.shortcut = level.shortcut ? new Shortcut(this, sprites.shortcut, level.shortcut) : null;
+  this.collectibles.setup();
+};
+
+/* Move the players up to another level. They keep their lives, points and
+ * deliveries but go back to the start, and the board is set up again with
+ * the new level's rules.
+ */
+Simulation.prototype.changeLevel = function(number) {
+  this.level = this.levelFor(number);
+  this.levelDeliveries = 0;
+  this.setupLevel();
+
+  this.players.forEach(function(player) {
+    var start = this.startFor(player.index);
+
+    player.level = number;
+    player.moveSpeed = this.level.moveSpeed * player.character.speed;
+    player.x = player.moveX = start.x;
+    player.y = player.moveY = start.y;
+    player.moving = false;
+    player.hit = false;
+    player.carrying = [];
+    this.emit('carrying', 0, player.maxCarry(), player);
+  }, this);
+
+  this.emit('level', number, this.level);
+};
+
+/* Where a player starts a level. The first player starts where the level
+ * says, the others on the closest free spots of the same row.
+ */
+Simulation.prototype.startFor = function(index) {
+  var start = this.level.start,
+      columns;
+
+  if(index === 0) {
+    return start;
+  }
+  columns = this.board.openColumns(start.y).filter(function(x) {
+    return x !== start.x;
+  }).sort(function(a, b) {
+    return Math.abs(a - start.x) - Math.abs(b - start.x) || b - a;
+  });
+  return { x: columns.length ? columns[(index - 1) % columns.length] : start.x, y: start.y };
+};
+
+// The players still in the game, players out of lives sit out the rest of a two player game
+Simulation.prototype.activePlayers = function() {
+  return this.players.filter(function(player) {
+    return !player.out;
+  });
+};
+
+// Add points to the game's total and, when they're down to a player, to theirs
+Simulation.prototype.score = function(points, player) {
+  this.points += points;
+  if(player) {
+    player.points += points;
+  }
+  this.emit('points', this.points, player);
+};
+
+// Subscribe to a game event
+Simulation.prototype.on = function(event, callback) {
+  (this.listeners[event] = this.listeners[event] || []).push(callback);
+  return this;
+};
+
+// Remove a subscription added with on()
+Simulation.prototype.off = function(event, callback) {
+  var callbacks = this.listeners[event] || [],
+      index = callbacks.indexOf(callback);
+  if(index !== -1) {
+    callbacks.splice(index, 1);
+  }
+  return this;
+};
+
+// Call every listener of an event with the rest of the arguments
+Simulation.prototype.emit = function(event) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  (this.listeners[event] || []).slice().forEach(function(callback) {
+    callback.apply(null, args);
+  });
+};
+
+// Send a direction ('left', 'up', 'right' or 'down') to a player, the first one unless another is given
+Simulation.prototype.input = function(direction, index) {
+  var player = this.players[index || 0];
+
+  if(!this.gameOver && player && !player.out) {
+    this.emit('input', direction, this.frame, player.index);
+    player.handleInput(direction);
+  }
+};
+
+/* Feed real elapsed time into the simulation. It's turned into as many fixed
+ * steps as fit, the remainder is carried over to the next call.
+ * Parameter: stop, checked before each step, stepping ends early once it
+ * returns true, like when the game has moved on to another screen
+ */
+Simulation.prototype.advance = function(dt, stop) {
+  this.accumulator += dt;
+  while(this.accumulator >= Simulation.STEP && !(stop && stop())) {
+    this.accumulator -= Simulation.STEP;
+    this.step();
+  }
+};
+
+/* Run one fixed step of the game. The order is important, the players move
+ * first (and in versus games fight over boxes), then enemies check for hits,
+ * the lanes send enemies that made it across back to the start and finally
+ * the items react to all of it.
+ */
+Simulation.prototype.step = function() {
+  var dt = Simulation.STEP;
+
+  if(this.gameOver) {
+    return;
+  }
+
+  this.players.forEach(function(player) {
+    player.update(dt);
+  });
+  if(Simulation.MODES[this.mode].steal) {
+    this.players.forEach(function(player) {
+      this.players.forEach(function(other) {
+        if(other !== player) {
+          player.steal(other);
+        }
+      });
+    }, this);
+  }
+  this.enemies.forEach(function(enemy) {
+    enemy.update(dt);
+  });
+  this.lanes.update();
+  this.boxes.forEach(function(box) {
+    box.update();
+  });
+  this.goals.forEach(function(goal) {
+    goal.update();
+  });
+  if(this.shortcut) {
+    this.shortcut.update();
+  }
+  this.collectibles.update(dt);
+
+  this.frame += 1;
+  this.clock.tick(dt);
+};
+
+// Returns a plain copy of the game state, safe to serialize or compare
+Simulation.prototype.getState = function() {
+  function position(entity) {
+    return { x: entity.x, y: entity.y };
+  }
+
+  return {
+    seed: this.seed,
+    mode: this.mode,
+    timeMode: this.timeMode,
+    frame: this.frame,
+    time: this.time,
+    timeLeft: this.timeLeft(),
+    points: this.points,
+    gameOver: this.gameOver,
+    boxesLost: this.boxesLost.length,
+    levelDeliveries: this.levelDeliveries,
+    players: this.players.map(function(player) {
+      return {
+        character: player.character.id,
+        x: player.x,
+        y: player.y,
+        lives: player.lives,
+        points: player.points,
+        level: player.level,
+        moving: player.moving,
+        out: player.out,
+        carrying: player.carrying.length,
+        deliveries: player.deliveries.length
+      };
+    }),
+    enemies: this.enemies.map(function(enemy) {
+      return { type: enemy.type.name, x: enemy.x, y: enemy.y, speed: enemy.speed, width: enemy.width };
+    }),
+    level: this.level.name,
+    obstacles: this.obstacles.map(function(obstacle) {
+      return { type: obstacle.name, x: obstacle.x, y: obstacle.y };
+    }),
+    boxes: this.boxes.map(function(box) {
+      return {
+        x: box.x,
+        y: box.y,
+        type: box.boxType.name,
+        collected: box.collected,
+        carrier: box.carrier ? box.carrier.index : null,
+        ranOver: box.ranOver,
+        spawnTime: box.spawnTime
+      };
+    }),
+    goals: this.goals.map(position),
+    collectibles: this.collectibles.items.map(function(item) {
+      return { kind: item.kind, x: item.x, y: item.y };
+    }),
+    effects: this.collectibles.effects.map(function(effect) {
+      return { kind: effect.kind, timeLeft: effect.timeLeft };
+    })
+  };
+};
+
+/* Put the game into a state from getState(), like one sent over by a game
+ * server, so it can be drawn and shown on the HUD. Only what's in the
+ * state is brought over, a game set up this way is for showing rather than
+ * for stepping on from.
+ */
+Simulation.prototype.setState = function(state) {
+  var game = this,
+      level;
+
+  if(state.players[0].level !== this.player.level) {
+    this.changeLevel(state.players[0].level);
+  }
+  level = this.level;
+
+  this.seed = state.seed;
+  this.frame = state.frame;
+  this.time = state.time;
+  if(this.deadline !== null && state.timeLeft !== null) {
+    this.clock.delay(this.deadline, state.timeLeft - this.timeLeft());
+  }
+  this.points = state.points;
+  this.gameOver = state.gameOver;
+  this.levelDeliveries = state.levelDeliveries;
+  Simulation.resize(this.boxesLost, state.boxesLost, function() {
+    return {};
+  });
+
+  state.players.forEach(function(saved, index) {
+    var player = game.players[index];
+    player.x = saved.x;
+    player.y = saved.y;
+    player.lives = saved.lives;
+    player.points = saved.points;
+    player.moving = saved.moving;
+    player.out = saved.out;
+    player.carrying = [];
+    Simulation.resize(player.deliveries, saved.deliveries, function() {
+      return {};
+    });
+  });
+
+  Simulation.resize(this.enemies, state.enemies.length, function() {
+    return new Enemy(game);
+  }).forEach(function(enemy, index) {
+    var saved = state.enemies[index];
+    enemy.type = level.enemies.types[saved.type];
+    enemy.sprite = enemy.type.sprite;
+    enemy.width = saved.width;
+    enemy.speed = saved.speed;
+    enemy.x = saved.x;
+    enemy.y = saved.y;
+    enemy.direction = level.rows[saved.y].direction;
+    enemy.pos = enemy.direction > 0 ? enemy.x : level.cols - enemy.width - enemy.x;
+  });
+
+  state.obstacles.forEach(function(saved, index) {
+    this.obstacles[index].x = saved.x;
+    this.obstacles[index].y = saved.y;
+  }, this);
+
+  state.goals.forEach(function(saved, index) {
+    this.goals[index].x = saved.x;
+    this.goals[index].y = saved.y;
+  }, this);
+
+  Simulation.resize(this.boxes, state.boxes.length, function() {
+    return new Item(game, null, 'indiebox');
+  }).forEach(function(box, index) {
+    var saved = state.boxes[index];
+    box.boxType = level.boxTypes.filter(function(type) {
+      return type.name === saved.type;
+    })[0] || level.boxTypes[0];
+    box.sprite = box.boxType.sprite;
+    box.x = saved.x;
+    box.y = saved.y;
+    box.collected = saved.collected;
+    box.carrier = saved.carrier === null ? null : game.players[saved.carrier];
+    box.ranOver = saved.ranOver;
+    box.spawnTime = saved.spawnTime;
+    if(box.carrier) {
+      box.carrier.carrying.push(box);
+    }
+  });
+
+  this.collectibles.items = state.collectibles.map(function(saved) {
+    return new Collectible(game, saved.kind, saved.x, saved.y, 0);
+  });
+  // Power-ups that last the level come through JSON with null for Infinity
+  this.collectibles.effects = state.effects.map(function(saved) {
+    return { kind: saved.kind, timeLeft: saved.timeLeft === null ? Infinity : saved.timeLeft };
+  });
+
+  // Line the enemies back up in their lanes so the lane viewer stays right
+  this.lanes.lanes.forEach(function(lane, y) {
+    if(lane) {
+      lane.splice.apply(lane, [0, lane.length].concat(game.enemies.filter(function(enemy) {
+        return enemy.y === y;
+      }).sort(function(a, b) {
+        return b.pos - a.pos;
+      })));
+    }
+  });
+  this.lanes.report();
+};
+
+// Grow or shrink a list to a length, new entries come from create
+Simulation.resize = function(list, length, create) {
+  list.length = Math.min(list.length, length);
+  while(list.length < length) {
+    list.push(create(list.length));
+  }
+  return list;
+};
@@ -0,0 +1,176 @@
+/* Sounds.js
+ * The audio companion to Resources. It preloads sound effects and music,
+ * plays effects by name and keeps the volume and mute setting between
+ * visits. Browsers won't play sound until the player has interacted with the
+ * page, so music that's asked for before then starts on the first key press,
+ * click or touch.
+ *
+ *   Sounds.load({ pickup: 'assets/audio/pickup.wav' });
+ *   Sounds.play('pickup');
+ *   Sounds.music('assets/audio/music.wav');
+ *
+ * Sounds that haven't loaded yet, or fail to, are quietly skipped so the
+ * game never waits on audio.
+ */
+(function() {
+    var soundCache = {};
+    var track = null; // the music's Audio element
+    var trackUrl = null;
+    var wantMusic = false; // whether music should be playing right now
+    var unlocked = false; // whether the player has interacted with the page yet
+    var settings = loadSettings();
+
+    // Music plays a bit under the effects so they can be heard over it
+    var musicVolume = 0.5;
+
+    /* Preload sound effects through Resources, given as an object of names
+     * and urls. The promise it returns never fails, a sound that can't be
+     * loaded is left out and the game goes on without it.
+     */
+    function load(sounds) {
+        return Promise.all(Object.keys(sounds).map(function(name) {
+            return Resources.load(sounds[name]).then(function(audio) {
+                soundCache[name] = audio;
+            }, function(err) {
+                console.warn(err.message + ', playing without it');
+            });
+        }));
+    }
+
+    /* Play a sound effect by name. A copy of the sound is played so the same
+     * effect can overlap itself, like two boxes getting run over at once.
+     */
+    function play(name) {
+        var sound = soundCache[name];
+
+        if(!sound || settings.muted || !unlocked) {
+            return;
+        }
+        sound = sound.cloneNode();
+        sound.volume = settings.volume;
+        start(sound);
+    }
+
+    // Set the music track and start it looping, it waits for the player if need be
+    function music(url) {
+        if(trackUrl !== url) {
+            stopMusic();
+            trackUrl = url;
+            track = new Audio();
+            track.preload = 'auto';
+            track.loop = true;
+            track.src = url;
+        }
+        wantMusic = true;
+        updateMusic();
+    }
+
+    // Pause the music, music() picks it up again where it left off
+    function pauseMusic() {
+        wantMusic = false;
+        updateMusic();
+    }
+
+    function stopMusic() {
+        wantMusic = false;
+        if(track) {
+            track.pause();
+            track.currentTime = 0;
+        }
+    }
+
+    // Start or pause the music to match what was asked for and the settings
+    function updateMusic() {
+        if(!track) {
+            return;
+        }
+        track.volume = settings.volume * musicVolume;
+        if(wantMusic && unlocked && !settings.muted) {
+            if(track.paused) {
+                start(track);
+            }
+        } else if(!track.paused) {
+            track.pause();
+        }
+    }
+
+    // play() returns a promise in newer browsers which rejects if it's blocked
+    function start(audio) {
+        var playing = audio.play();
+        if(playing && playing.catch) {
+            playing.catch(function() {});
+        }
+    }
+
+    /* Volume from 0 to 1 for everything, called without a value it returns
+     * the current volume.
+     */
+    function volume(value) {
+        if(value === undefined) {
+            return settings.volume;
+        }
+        settings.volume = Math.max(0, Math.min(1, Number(value) || 0));
+        saveSettings();
+        updateMusic();
+    }
+
+    function mute(muted) {
+        settings.muted = !!muted;
+        saveSettings();
+        updateMusic();
+    }
+
+    function toggleMute() {
+        mute(!settings.muted);
+        return settings.muted;
+    }
+
+    function isMuted() {
+        return settings.muted;
+    }
+
+    function loadSettings() {
+        var saved = Settings.load('indieboxer.sound');
+        return {
+            volume: saved && typeof saved.volume === 'number' ? saved.volume : 0.8,
+            muted: !!(saved && saved.muted)
+        };
+    }
+
+    function saveSettings() {
+        Settings.save('indieboxer.sound', settings);
+    }
+
+    /* Browsers only allow sound once the page has been interacted with, so
+     * wait for that before playing anything.
+     */
+    function unlock() {
+        if(unlocked) {
+            return;
+        }
+        unlocked = true;
+        ['keydown', 'mousedown', 'touchstart'].forEach(function(event) {
+            document.removeEventListener(event, unlock, true);
+        });
+        updateMusic();
+    }
+
+    ['keydown', 'mousedown', 'touchstart'].forEach(function(event) {
+        document.addEventListener(event, unlock, true);
+    });
+
+    /* This object defines the publicly accessible functions available to
+     * developers by creating a global Sounds object.
+     */
+    window.Sounds = {
+        load: load,
+        play: play,
+        music: music,
+        pauseMusic: pauseMusic,
+        stopMusic: stopMusic,
+        volume: volume,
+        mute: mute,
+        toggleMute: toggleMute,
+        isMuted: isMuted
+    };
+})();
@@ -0,0 +1,78 @@
+/* StateMachine.js
+ * A small finite state machine used by the engine to move between the game's
+ * screens. Each state lists the states it's allowed to move to and can have
+ * any of these handlers:
+ *
+ *   enter(data, previous) - called when the state is entered
+ *   exit(next)            - called when the state is left
+ *   update(dt)            - called every frame with the time delta
+ *   render()              - called every frame after update
+ *   input(action, player) - called with player actions like 'confirm' or 'up'
+ *                           and the player they came from, 0 for the first
+ */
+var StateMachine = function(states) {
+  this.states = states;
+  this.name = null; // name of the current state
+  this.state = null;
+  this.listeners = [];
+};
+
+// Check if the machine is in a state
+StateMachine.prototype.is = function(name) {
+  return this.name === name;
+};
+
+// Check if the current state is allowed to move to another
+StateMachine.prototype.can = function(name) {
+  return !this.state || (this.state.to || []).indexOf(name) !== -1;
+};
+
+// Move to another state, data is handed to the new state's enter()
+StateMachine.prototype.go = function(name, data) {
+  var next = this.states[name],
+      previous = this.name;
+
+  if(!next) {
+    throw new Error('Unknown state: ' + name);
+  }
+  if(!this.can(name)) {
+    throw new Error('Can\'t go from ' + previous + ' to ' + name);
+  }
+
+  if(this.state && this.state.exit) {
+    this.state.exit(name);
+  }
+  this.name = name;
+  this.state = next;
+  if(next.enter) {
+    next.enter(data, previous);
+  }
+
+  this.listeners.forEach(function(callback) {
+    callback(name, previous);
+  });
+};
+
+// Call a handler of the current state if it has one
+StateMachine.prototype.call = function(handler) {
+  if(this.state && this.state[handler]) {
+    return this.state[handler].apply(this.state, Array.prototype.slice.call(arguments, 1));
+  }
+};
+
+StateMachine.prototype.update = function(dt) {
+  this.call('update', dt);
+};
+
+StateMachine.prototype.render = function() {
+  this.call('render');
+};
+
+StateMachine.prototype.input = function(action, player) {
+  this.call('input', action, player || 0);
+};
+
+// Subscribe to state changes, called with the new and previous state names
+StateMachine.prototype.onChange = function(callback) {
+  this.listeners.push(callback);
+};
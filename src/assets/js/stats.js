@@ -0,0 +1,157 @@
+/* Stats.js
+ * Keeps a summary of every finished game so they can be looked at together
+ * on the stats page (stats.html), to see how changes to the levels play out.
+ * Like the high scores, where they're kept is up to a storage adapter (see
+ * highscores.js), by default the browser's localStorage.
+ *
+ * Each game is kept as a session:
+ *   { date, mode, characters: ['boy'], points, level, time, saved, lost,
+ *     moves, deliverySeconds, deaths: [{ level, x, y }],
+ *     losses: [{ level, x, y }] }
+ *
+ * deliverySeconds adds up how long every delivered box was on the board,
+ * deaths are where players were hit and losses where boxes were run over
+ * for good.
+ */
+var Stats = function(options) {
+  options = options || {};
+  this.storage = options.storage || HighScores.defaultStorage('indieboxer.stats');
+  this.size = options.size || Stats.SESSIONS; // how many games are kept, the oldest go first
+  this.sessions = [];
+};
+
+// How many games are kept unless told otherwise
+Stats.SESSIONS = 200;
+
+// Load the saved sessions, callback(err, sessions) is optional
+Stats.prototype.load = function(callback) {
+  var stats = this;
+  this.storage.load(function(err, sessions) {
+    if(!err) {
+      stats.sessions = sessions || [];
+    }
+    if(callback) {
+      callback(err, stats.sessions);
+    }
+  });
+};
+
+// The kept sessions, oldest first
+Stats.prototype.list = function() {
+  return this.sessions.slice();
+};
+
+// Keep a session, from Stats.session(), and save them all
+Stats.prototype.add = function(session, callback) {
+  this.sessions = this.sessions.concat([session]).slice(-this.size);
+  this.save(callback);
+};
+
+// Forget every session
+Stats.prototype.clear = function(callback) {
+  this.sessions = [];
+  this.save(callback);
+};
+
+Stats.prototype.save = function(callback) {
+  this.storage.save(this.sessions, function(err) {
+    if(callback) {
+      callback(err);
+    }
+  });
+};
+
+// The session for a finished game, from what the game logged while it was played
+Stats.session = function(game) {
+  var session = {
+    date: new Date().toISOString(),
+    mode: game.mode,
+    characters: game.players.map(function(player) {
+      return player.character.id;
+    }),
+    points: game.points,
+    level: game.player.level,
+    time: game.time,
+    saved: 0,
+    lost: game.boxesLost.length,
+    moves: 0,
+    deliverySeconds: 0,
+    deaths: [],
+    losses: game.boxesLost.map(Stats.place)
+  };
+
+  game.players.forEach(function(player) {
+    session.saved += player.deliveries.length;
+    session.moves += player.movements.length;
+    player.deliveries.forEach(function(delivery) {
+      session.deliverySeconds += delivery.seconds;
+    });
+    session.deaths = session.deaths.concat(player.deaths.map(Stats.place));
+  });
+  return session;
+};
+
+// Where something happened, the level and tile
+Stats.place = function(logged) {
+  return { level: logged.level, x: logged.x, y: logged.y };
+};
+
+/* Add up a list of sessions for the stats page:
+ *
+ *   games, saved, lost, points - totals over every session
+ *   averageDeliveryTime        - seconds a delivered box was on the board, on
+ *                                average, null without deliveries
+ *   trend                      - each session's date, points, saved and lost
+ *   lanes                      - every row anyone died or lost a box on as
+ *                                { level, row, deaths, lost }, most dangerous
+ *                                first
+ *   heatmap                    - deaths by level, then by tile as 'x,y'
+ */
+Stats.summarize = function(sessions) {
+  var summary = {
+        games: sessions.length,
+        saved: 0,
+        lost: 0,
+        points: 0,
+        averageDeliveryTime: null,
+        trend: [],
+        lanes: [],
+        heatmap: {}
+      },
+      deliverySeconds = 0,
+      lanes = {};
+
+  function lane(place) {
+    var key = place.level + ':' + place.y;
+    return (lanes[key] = lanes[key] || { level: place.level, row: place.y, deaths: 0, lost: 0 });
+  }
+
+  sessions.forEach(function(session) {
+    summary.saved += session.saved;
+    summary.lost += session.lost;
+    summary.points += session.points;
+    deliverySeconds += session.deliverySeconds;
+    summary.trend.push({ date: session.date, points: session.points, saved: session.saved, lost: session.lost });
+
+    session.deaths.forEach(function(place) {
+      var cells = summary.heatmap[place.level] = summary.heatmap[place.level] || {},
+          cell = place.x + ',' + place.y;
+
+      cells[cell] = (cells[cell] || 0) + 1;
+      lane(place).deaths += 1;
+    });
+    session.losses.forEach(function(place) {
+      lane(place).lost += 1;
+    });
+  });
+
+  if(summary.saved > 0) {
+    summary.averageDeliveryTime = deliverySeconds / summary.saved;
+  }
+  summary.lanes = Object.keys(lanes).map(function(key) {
+    return lanes[key];
+  }).sort(function(a, b) {
+    return b.deaths - a.deaths || b.lost - a.lost || a.level - b.level || a.row - b.row;
+  });
+  return summary;
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/* Achievements counting a game's events, kept in memory so no browser is
+ * needed. The events are sent straight from the game rather than played for.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+var globals = headless.load({ quiet: true, scripts: ['src/assets/js/highscores.js', 'src/assets/js/achievements.js'] }),
+    Achievements = globals.Achievements;
+
+// A game being tracked by achievements kept in the given storage
+function setup(storage) {
+  var game = new globals.Simulation({ seed: 1, levels: headless.loadLevels() }),
+      achievements = new Achievements({ storage: storage || new globals.HighScores.MemoryStorage() }),
+      unlocked = [];
+
+  achievements.track(game);
+  achievements.on('unlock', function(definition) {
+    unlocked.push(definition.id);
+  });
+  return { game: game, achievements: achievements, unlocked: unlocked };
+}
+
+// A delivered box as the 'delivered' event sends it
+function box(type, ranOver) {
+  return { boxType: { name: type }, ranOver: ranOver };
+}
+
+function progress(achievements, id) {
+  return achievements.list().filter(function(entry) {
+    return entry.id === id;
+  })[0].progress;
+}
+
+test('events unlock the achievements that listen for them', function() {
+  var tracked = setup();
+
+  tracked.game.emit('delivered', box('blue', 1), 1);
+  assert.deepStrictEqual(tracked.unlocked, ['first-delivery']);
+
+  tracked.game.emit('delivered', box('express', 0), 2);
+  assert.deepStrictEqual(tracked.unlocked, ['first-delivery', 'perfect-delivery', 'express']);
+  assert.strictEqual(tracked.achievements.isUnlocked('express'), true);
+  assert.strictEqual(tracked.achievements.isUnlocked('heart'), false);
+});
+
+test('checks decide which events count', function() {
+  var tracked = setup();
+
+  tracked.game.emit('second', 299);
+  tracked.game.emit('level', 5);
+  assert.deepStrictEqual(tracked.unlocked, ['clean-five']);
+  tracked.game.boxesLost.push({});
+  tracked.game.emit('second', 300);
+  assert.deepStrictEqual(tracked.unlocked, ['clean-five', 'survivor']);
+});
+
+test('counts start over every game unless they are for a career', function() {
+  var tracked = setup();
+
+  for(var i = 0; i < 9; i++) {
+    tracked.game.emit('delivered', box('blue', 0), i + 1);
+  }
+  assert.strictEqual(progress(tracked.achievements, 'perfect-ten'), 9);
+  assert.strictEqual(progress(tracked.achievements, 'hundred'), 9);
+
+  tracked.game.reset(2);
+  assert.strictEqual(progress(tracked.achievements, 'perfect-ten'), 0);
+  assert.strictEqual(progress(tracked.achievements, 'hundred'), 9);
+
+  for(i = 0; i < 10; i++) {
+    tracked.game.emit('delivered', box('blue', 0), i + 1);
+  }
+  assert.strictEqual(tracked.achievements.isUnlocked('perfect-ten'), true);
+  assert.strictEqual(progress(tracked.achievements, 'perfect-ten'), 10);
+  assert.strictEqual(progress(tracked.achievements, 'hundred'), 19);
+});
+
+test('unlocked achievements and career progress are kept', function() {
+  var storage = new globals.HighScores.MemoryStorage(),
+      first = setup(storage),
+      second;
+
+  first.game.emit('heart', first.game.player);
+  first.game.emit('delivered', box('blue', 2), 1);
+
+  second = setup(storage);
+  second.achievements.load();
+  assert.strictEqual(second.achievements.isUnlocked('heart'), true);
+  assert.strictEqual(progress(second.achievements, 'hundred'), 1);
+
+  // Unlocking again doesn't tell anyone
+  second.game.emit('heart', second.game.player);
+  assert.deepStrictEqual(second.unlocked, []);
+
+  second.achievements.clear();
+  assert.strictEqual(second.achievements.isUnlocked('heart'), false);
+  assert.strictEqual(storage.scores.length, 0);
+});
+
+test('every achievement is listed in order', function() {
+  var list = setup().achievements.list();
+
+  assert.strictEqual(list.length, Achievements.ORDER.length);
+  assert.strictEqual(list[0].id, 'first-delivery');
+  list.forEach(function(entry) {
+    assert.strictEqual(entry.unlocked, null);
+    assert.ok(entry.title && entry.description && entry.count >= 1);
+  });
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+/* Walking around the board, on a small level with one of everything:
+ *
+ *   row 0  goal   water water water water
+ *   row 1  enemy  stone stone stone stone
+ *   row 2  start  wall  ramp  crate bridge over river
+ *   row 3  start  start crate mud   river
+ *
+ * The ramp can only be stepped onto going up.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+// A level file with the level above, with some of its fields changed
+function levels(changes) {
+  var level = {
+    name: 'Yard',
+    cols: 4,
+    rows: [
+      { lane: 'goal', tile: 'water' },
+      { lane: 'enemy', tile: 'stone' },
+      { lane: 'start', tile: 'grass' },
+      { lane: 'start', tile: 'grass' }
+    ],
+    start: { x: 0, y: 3 },
+    cells: [
+      { x: 1, y: 2, tile: 'ramp' },
+      { x: 3, y: 2, tile: 'river' },
+      { x: 2, y: 3, tile: 'mud' },
+      { x: 3, y: 3, tile: 'river' }
+    ],
+    obstacles: [
+      { type: 'wall', x: 0, y: 2 },
+      { type: 'crate', x: 2, y: 2 },
+      { type: 'bridge', x: 3, y: 2 },
+      { type: 'crate', x: 1, y: 3 }
+    ],
+    enemies: { count: 0, speed: { min: 1, max: 1 } }
+  };
+  Object.keys(changes || {}).forEach(function(key) {
+    level[key] = changes[key];
+  });
+  return {
+    tiles: {
+      water: 'water.png',
+      stone: 'stone.png',
+      grass: 'grass.png',
+      river: { image: 'water.png', passable: false },
+      mud: { image: 'mud.png', speed: 0.5 },
+      ramp: { image: 'ramp.png', oneWay: 'up' }
+    },
+    levels: [level]
+  };
+}
+
+function setup() {
+  return headless.createSimulation({ seed: 1, levels: levels() });
+}
+
+// Where a move goes, as 'x,y' or null, to compare across sandboxes
+function move(game, x, y, direction) {
+  var to = game.board.move(x, y, direction);
+  return to && to.x + ',' + to.y;
+}
+
+// The first obstacle of a type, or a later one
+function obstacle(game, type, index) {
+  return game.obstacles.filter(function(other) {
+    return other.name === type;
+  })[index || 0];
+}
+
+// Where an obstacle is, as 'x,y'
+function where(game, type, index) {
+  var found = obstacle(game, type, index);
+  return found.x + ',' + found.y;
+}
+
+test('the edges of the board and walls are in the way', function() {
+  var game = setup();
+
+  assert.strictEqual(move(game, 0, 3, 'left'), null);
+  assert.strictEqual(move(game, 0, 3, 'down'), null);
+  assert.strictEqual(move(game, 0, 3, 'up'), null);
+  assert.strictEqual(move(game, 0, 1, 'up'), '0,0');
+});
+
+test('water can only be crossed on a bridge', function() {
+  var game = setup();
+
+  assert.strictEqual(game.board.isPassable(3, 2), true);
+  assert.strictEqual(game.board.isPassable(3, 3), false);
+  assert.strictEqual(move(game, 3, 1, 'down'), '3,2');
+  assert.strictEqual(move(game, 3, 2, 'down'), null);
+});
+
+test('one-way tiles can only be stepped onto going their way', function() {
+  var game = setup();
+
+  assert.strictEqual(move(game, 1, 1, 'down'), null);
+  game.obstacles = game.obstacles.filter(function(other) {
+    return other.name !== 'crate';
+  });
+  assert.strictEqual(move(game, 1, 3, 'up'), '1,2');
+  assert.strictEqual(move(game, 2, 2, 'left'), null);
+});
+
+test('slow tiles take longer to walk onto', function() {
+  var game = setup();
+
+  assert.strictEqual(game.board.speedAt(2, 3), 0.5);
+  assert.strictEqual(game.board.speedAt(0, 3), 1);
+});
+
+test('walking into a crate pushes it along if there is room', function() {
+  var game = setup(),
+      pushed = [];
+
+  game.on('push', function(obstacle) {
+    pushed.push(obstacle.name + ' ' + obstacle.x + ',' + obstacle.y);
+  });
+  assert.strictEqual(move(game, 0, 3, 'right'), '1,3');
+  assert.deepStrictEqual(pushed, ['crate 2,3']);
+  assert.strictEqual(where(game, 'crate', 1), '2,3');
+
+  // Not into the river
+  assert.strictEqual(move(game, 1, 3, 'right'), null);
+  assert.strictEqual(where(game, 'crate', 1), '2,3');
+  assert.strictEqual(pushed.length, 1);
+});
+
+test('crates stay out of lanes they do not belong in and off each other', function() {
+  var game = setup();
+
+  // Up into the enemy lane
+  assert.strictEqual(move(game, 2, 3, 'up'), null);
+  assert.strictEqual(where(game, 'crate'), '2,2');
+
+  // Into another crate
+  obstacle(game, 'crate', 1).x = 1;
+  obstacle(game, 'crate', 1).y = 2;
+  assert.strictEqual(move(game, 3, 2, 'left'), null);
+  assert.strictEqual(where(game, 'crate'), '2,2');
+});
+
+test('crates can not be pushed onto a player', function() {
+  var game = headless.createSimulation({ seed: 1, levels: levels(), characters: ['boy', 'cat-girl'], mode: 'versus' }),
+      other = game.players[1];
+
+  game.player.x = game.player.moveX = 0;
+  game.player.y = game.player.moveY = 3;
+  other.x = other.moveX = 2;
+  other.y = other.moveY = 3;
+  assert.strictEqual(move(game, 0, 3, 'right'), null);
+  assert.strictEqual(where(game, 'crate', 1), '1,3');
+
+  // Nor onto a tile they're walking onto
+  other.x = 3;
+  other.moveX = 2;
+  assert.strictEqual(move(game, 0, 3, 'right'), null);
+
+  other.x = other.moveX = 3;
+  other.y = other.moveY = 2;
+  assert.strictEqual(move(game, 0, 3, 'right'), '1,3');
+  assert.strictEqual(where(game, 'crate', 1), '2,3');
+});
+
+test('the player is only put down on columns they can stand on', function() {
+  var game = setup();
+
+  assert.strictEqual(game.board.openColumns(3).join(), '0,2');
+  assert.strictEqual(game.board.openColumns(2).join(), '1,3');
+});
+
+test('levels with obstacles or tiles where they can not be are turned away', function() {
+  var Level = headless.load({ quiet: true }).Level;
+
+  assert.throws(function() {
+    Level.loadAll(levels({ obstacles: [{ type: 'boulder', x: 0, y: 2 }] }));
+  }, /unknown obstacle "boulder"/);
+  assert.throws(function() {
+    Level.loadAll(levels({ obstacles: [{ type: 'crate', x: 0, y: 1 }] }));
+  }, /can't have a crate in a enemy lane/);
+  assert.throws(function() {
+    Level.loadAll(levels({ obstacles: [{ type: 'wall', y: 2 }] }));
+  }, /has a wall off the board/);
+  assert.throws(function() {
+    Level.loadAll(levels({ cells: [{ x: 0, y: 1, tile: 'river' }] }));
+  }, /can only have tiles that can't be walked on in start lanes/);
+  assert.throws(function() {
+    Level.loadAll(levels({ obstacles: [{ type: 'wall', x: 0, y: 3 }] }));
+  }, /starts the player somewhere they can't stand/);
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+/* Box types, goals and what a delivery is worth, on a small board of its own
+ * without enemies so nothing gets in the way.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+// A level file with one small level, with some of its fields changed
+function levels(changes) {
+  var level = {
+    name: 'Depot',
+    cols: 4,
+    rows: [
+      { lane: 'goal', tile: 'water' },
+      { lane: 'enemy', tile: 'stone' },
+      { lane: 'start', tile: 'grass' }
+    ],
+    boxes: 1,
+    boxTypes: ['blue', 'express'],
+    goals: [{ accepts: ['blue'] }, { accepts: ['express'] }],
+    enemies: { count: 0, speed: { min: 1, max: 1 } },
+    hearts: { every: 0 }
+  };
+  Object.keys(changes || {}).forEach(function(key) {
+    level[key] = changes[key];
+  });
+  return {
+    tiles: { water: 'water.png', stone: 'stone.png', grass: 'grass.png' },
+    boxTypes: {
+      blue: { sprite: 'blue.png', points: 100 },
+      express: { sprite: 'orange.png', points: 200, deadline: 5 }
+    },
+    levels: [level]
+  };
+}
+
+// A game on the test level with its box turned into the given type
+function setup(type) {
+  var game = headless.createSimulation({ seed: 5, levels: levels() }),
+      box = game.boxes[0];
+
+  box.boxType = game.level.boxTypes.filter(function(boxType) {
+    return boxType.name === type;
+  })[0];
+  return { game: game, box: box };
+}
+
+// The goal that takes a type of box
+function goalFor(game, type) {
+  return game.goals.filter(function(goal) {
+    return goal.accepts.indexOf(type) !== -1;
+  })[0];
+}
+
+// Walk the player onto the box, pick it up, then onto a spot and let the box follow
+function carry(game, box, x, y) {
+  game.player.x = box.x;
+  game.player.y = box.y;
+  box.update();
+  game.player.x = x;
+  game.player.y = y;
+  box.update();
+}
+
+test('levels only use box types from the file and need a goal for each', function() {
+  var Level = headless.load({ quiet: true }).Level;
+
+  assert.throws(function() {
+    Level.loadAll(levels({ boxTypes: ['blue', 'gold'] }));
+  }, /unknown box type "gold"/);
+  assert.throws(function() {
+    Level.loadAll(levels({ goals: [{ accepts: ['blue'] }] }));
+  }, /has no goal for "express" boxes/);
+  assert.throws(function() {
+    Level.loadAll(levels({ goals: [{}, {}, {}, {}, {}] }));
+  }, /more goals than room for them/);
+  assert.strictEqual(Level.loadAll(levels({ goals: [{}] }))[0].goals[0].accepts, null);
+});
+
+test('a box is worth less the slower it is and the more it was run over', function() {
+  var loaded = setup('blue'),
+      game = loaded.game,
+      box = loaded.box;
+
+  box.spawnTime = game.time;
+  assert.strictEqual(box.worth(), 150);
+  game.time += 5;
+  assert.strictEqual(box.worth(), 125);
+  game.time += 60;
+  assert.strictEqual(box.worth(), 100);
+  box.ranOver = 1;
+  assert.strictEqual(box.worth(), 50);
+  box.ranOver = 2;
+  assert.strictEqual(box.worth(), 25);
+});
+
+test('a box is only delivered to a goal that takes its type', function() {
+  var loaded = setup('blue'),
+      game = loaded.game,
+      box = loaded.box,
+      wrong = goalFor(game, 'express'),
+      right = goalFor(game, 'blue'),
+      worth;
+
+  carry(game, box, wrong.x, wrong.y);
+  assert.strictEqual(box.collected, true);
+  assert.strictEqual(game.player.deliveries.length, 0);
+
+  worth = box.worth();
+  carry(game, box, right.x, right.y);
+  assert.strictEqual(box.collected, false);
+  assert.strictEqual(game.points, worth);
+  assert.strictEqual(game.player.deliveries.length, 1);
+  assert.strictEqual(game.player.deliveries[0].type, 'blue');
+  assert.strictEqual(game.player.deliveries[0].points, worth);
+  assert.strictEqual(game.player.carrying.length, 0);
+  assert.strictEqual(right.reached, true);
+});
+
+test('an express box is lost when its deadline runs out', function() {
+  var loaded = setup('express'),
+      game = loaded.game,
+      box = loaded.box,
+      lost = [];
+
+  game.on('lost', function(item, count) {
+    lost.push(item.boxType.name + ' ' + count);
+  });
+  box.spawnTime = game.time;
+  game.time += 4.9;
+  box.update();
+  assert.strictEqual(lost.length, 0);
+  assert.ok(box.timeLeft() > 0);
+
+  game.time += 0.1;
+  box.update();
+  assert.deepStrictEqual(lost, ['express 1']);
+  assert.strictEqual(game.points, -50);
+  assert.strictEqual(box.spawnTime, game.time);
+});
+
+test('a box is destroyed the third time it is run over', function() {
+  var loaded = setup('blue'),
+      game = loaded.game,
+      box = loaded.box;
+
+  box.ranOver = 2;
+  box.update();
+  assert.strictEqual(game.boxesLost.length, 0);
+  box.ranOver = 3;
+  box.update();
+  assert.strictEqual(game.boxesLost.length, 1);
+  assert.strictEqual(game.boxesLost[0].type, 'blue');
+  assert.strictEqual(box.ranOver, 0);
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+/* The game clock and the timed games that run on it. */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+var GameClock = headless.load({ quiet: true }).GameClock;
+
+test('timers go off in the order they are due, ties in the order they were scheduled', function() {
+  var clock = new GameClock(),
+      fired = [];
+
+  clock.after(2, function() { fired.push('b'); });
+  clock.at(1, function() { fired.push('a'); });
+  clock.after(2, function() { fired.push('c'); });
+  clock.tick(1.5);
+  assert.deepStrictEqual(fired, ['a']);
+  clock.tick(5);
+  assert.deepStrictEqual(fired, ['a', 'b', 'c']);
+  assert.strictEqual(clock.timers.length, 0);
+});
+
+test('repeating timers go off as many times as fit in a tick', function() {
+  var clock = new GameClock(),
+      times = [];
+
+  clock.every(1, function(time) {
+    times.push(time);
+  });
+  clock.tick(3.5);
+  assert.deepStrictEqual(times, [3.5, 3.5, 3.5]);
+  clock.tick(0.5);
+  assert.strictEqual(times.length, 4);
+});
+
+test('steps that add up to a due time set the timer off despite rounding', function() {
+  var clock = new GameClock(),
+      fired = 0;
+
+  clock.after(1, function() {
+    fired += 1;
+  });
+  for(var step = 0; step < 60; step++) {
+    clock.tick(1 / 60);
+  }
+  assert.strictEqual(fired, 1);
+});
+
+test('timers scheduled by a timer go off in the same tick if they are already due', function() {
+  var clock = new GameClock(),
+      fired = [];
+
+  clock.after(1, function() {
+    fired.push('first');
+    clock.at(1.5, function() {
+      fired.push('second');
+    });
+    clock.after(5, function() {
+      fired.push('later');
+    });
+  });
+  clock.tick(2);
+  assert.deepStrictEqual(fired, ['first', 'second']);
+  assert.strictEqual(clock.timers.length, 1);
+});
+
+test('timers can be delayed, brought forward and cancelled', function() {
+  var clock = new GameClock(),
+      fired = [],
+      late = clock.after(3, function() { fired.push('late'); }),
+      early = clock.after(3, function() { fired.push('early'); }),
+      never = clock.after(1, function() { fired.push('never'); });
+
+  clock.delay(late, 2);
+  clock.delay(early, -1);
+  clock.cancel(never);
+  assert.strictEqual(clock.remaining(late), 5);
+  assert.strictEqual(clock.remaining(never), null);
+
+  clock.tick(2);
+  assert.deepStrictEqual(fired, ['early']);
+  assert.strictEqual(clock.remaining(late), 3);
+  clock.tick(3);
+  assert.deepStrictEqual(fired, ['early', 'late']);
+  assert.strictEqual(clock.remaining(late), null);
+});
+
+test('rush hour games end when their time is up', function() {
+  var game = headless.createSimulation({ seed: 3, timeMode: 'rush', quiet: true }),
+      events = [];
+
+  game.on('timeup', function() {
+    events.push('timeup');
+  });
+  game.on('gameover', function() {
+    events.push('gameover');
+  });
+  assert.strictEqual(game.timeLeft(), 120);
+
+  // Nobody moves, so nobody gets hit on the start row
+  while(!game.gameOver && game.frame < 130 * 60) {
+    game.step();
+  }
+  assert.deepStrictEqual(events, ['timeup', 'gameover']);
+  assert.strictEqual(game.frame, 120 * 60);
+  assert.strictEqual(game.timeLeft(), 0);
+});
+
+test('nothing scheduled past the end of a timed game goes off', function() {
+  var game = headless.createSimulation({ seed: 4, timeMode: 'rush', quiet: true }),
+      seconds = 0,
+      late = 0;
+
+  game.on('second', function() {
+    seconds += 1;
+  });
+  game.clock.after(125, function() {
+    late += 1;
+  });
+  for(var frame = 0; frame < 130 * 60; frame++) {
+    game.step();
+  }
+  assert.strictEqual(game.gameOver, true);
+  assert.strictEqual(seconds, 120);
+  assert.strictEqual(late, 0);
+  assert.ok(Math.abs(game.time - 120) < 1e-6);
+});
+
+test('countdown games get more time for every delivery', function() {
+  var game = headless.createSimulation({ seed: 5, timeMode: 'countdown', quiet: true });
+
+  assert.strictEqual(game.timeLeft(), 60);
+  game.bonusTime();
+  game.bonusTime();
+  assert.strictEqual(game.timeLeft(), 80);
+  for(var frame = 0; frame < 30 * 60; frame++) {
+    game.step();
+  }
+  assert.ok(Math.abs(game.timeLeft() - 50) < 1e-6);
+});
+
+test('endless games have no time limit and unknown time modes are turned away', function() {
+  var game = headless.createSimulation({ seed: 6, quiet: true });
+
+  assert.strictEqual(game.timeLeft(), null);
+  game.bonusTime();
+  assert.strictEqual(game.timeLeft(), null);
+  assert.throws(function() {
+    headless.createSimulation({ seed: 6, timeMode: 'sprint', quiet: true });
+  }, /no "sprint" time mode/);
+});
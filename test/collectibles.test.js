@@ -0,0 +1,158 @@
+'use strict';
+
+/* Hearts and power-ups, on a small board without enemies so nothing gets in
+ * the way.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+// A level file with one small level that puts out the given collectibles
+function levels(collectibles) {
+  return {
+    tiles: { water: 'water.png', stone: 'stone.png', grass: 'grass.png' },
+    levels: [{
+      name: 'Yard',
+      cols: 4,
+      rows: [
+        { lane: 'goal', tile: 'water' },
+        { lane: 'enemy', tile: 'stone' },
+        { lane: 'start', tile: 'grass' }
+      ],
+      enemies: { count: 0, speed: { min: 1, max: 1 } },
+      shortcut: { from: { x: 0, y: 2 }, to: { x: 0, y: 1 } },
+      collectibles: collectibles
+    }]
+  };
+}
+
+function play(game, seconds) {
+  var frames = Math.round(seconds * 60);
+  for(var frame = 0; frame < frames; frame++) {
+    game.step();
+  }
+}
+
+test('collectibles show up as often as the level says and go when their time is up', function() {
+  var game = headless.createSimulation({ seed: 2, levels: levels({ shield: { every: 2, lasts: 1 } }) });
+
+  play(game, 1.9);
+  assert.strictEqual(game.collectibles.items.length, 0);
+  play(game, 0.2);
+  assert.strictEqual(game.collectibles.items.length, 1);
+  assert.strictEqual(game.collectibles.items[0].kind, 'shield');
+  assert.strictEqual(game.level.isLane(game.collectibles.items[0].y, 'enemy'), true);
+  play(game, 1);
+  assert.strictEqual(game.collectibles.items.length, 0);
+});
+
+test('walking onto a collectible picks it up', function() {
+  var game = headless.createSimulation({ seed: 3, levels: levels({ heart: { every: 1, lasts: 0.5 } }) }),
+      lives = game.player.lives,
+      heart, collected = [];
+
+  game.on('collect', function(kind) {
+    collected.push(kind);
+  });
+  play(game, 1.1);
+  heart = game.collectibles.items[0];
+  game.player.x = heart.x;
+  game.player.y = heart.y;
+  game.collectibles.update(0);
+
+  assert.deepStrictEqual(collected, ['heart']);
+  assert.strictEqual(game.collectibles.items.length, 0);
+  assert.strictEqual(game.player.lives, lives + 1);
+  assert.strictEqual(game.points, 50);
+  assert.strictEqual(game.collectibles.active().length, 0);
+});
+
+test('power-ups change the game while they last', function() {
+  var game = headless.createSimulation({ seed: 4, levels: levels({}) }),
+      collectibles = game.collectibles;
+
+  collectibles.collect('shield');
+  collectibles.collect('slow');
+  collectibles.collect('multiplier');
+  assert.strictEqual(collectibles.modify('hit', true), false);
+  assert.strictEqual(collectibles.modify('enemySpeed', 3), 1.5);
+  assert.strictEqual(collectibles.modify('points', 100), 200);
+
+  play(game, 5.5);
+  assert.strictEqual(collectibles.active().map(function(effect) {
+    return effect.kind;
+  }).join(), 'slow,multiplier');
+  assert.strictEqual(collectibles.modify('hit', true), true);
+
+  play(game, 5);
+  assert.strictEqual(collectibles.active().length, 0);
+  assert.strictEqual(collectibles.modify('points', 100), 100);
+});
+
+test('picking a power-up up again starts it over', function() {
+  var game = headless.createSimulation({ seed: 5, levels: levels({}) }),
+      collectibles = game.collectibles;
+
+  collectibles.collect('shield');
+  play(game, 4);
+  collectibles.collect('shield');
+  assert.strictEqual(collectibles.active().length, 1);
+  play(game, 4);
+  assert.strictEqual(collectibles.isActive('shield'), true);
+  play(game, 1.5);
+  assert.strictEqual(collectibles.isActive('shield'), false);
+});
+
+test('extra carry raises how many boxes the player can carry while it lasts', function() {
+  var game = headless.createSimulation({ seed: 6, levels: levels({}) }),
+      capacity = game.player.maxCarry(),
+      carrying = [];
+
+  game.on('carrying', function(count, max) {
+    carrying.push(max);
+  });
+  game.collectibles.collect('carry');
+  assert.strictEqual(game.player.maxCarry(), capacity + 1);
+  play(game, 15.5);
+  assert.strictEqual(game.player.maxCarry(), capacity);
+  assert.deepStrictEqual(carrying, [capacity + 1, capacity]);
+});
+
+test('boxes without room are dropped when extra carry runs out', function() {
+  var file = levels({}),
+      game, player, carried, dropped;
+
+  file.levels[0].boxes = 2;
+  game = headless.createSimulation({ seed: 6, levels: file });
+  player = game.player;
+  game.collectibles.collect('carry');
+  game.boxes.forEach(function(box) {
+    box.collected = true;
+    box.carrier = player;
+    player.carry(box);
+  });
+  carried = game.boxes[0];
+  dropped = game.boxes[1];
+
+  play(game, 15.5);
+  assert.strictEqual(player.carrying.length, 1);
+  assert.strictEqual(player.carrying[0], carried);
+  assert.strictEqual(dropped.collected, false);
+  assert.strictEqual(dropped.carrier, null);
+  assert.strictEqual(game.level.isLane(dropped.y, 'enemy'), true);
+});
+
+test('a key only lasts until the level is over', function() {
+  var game = headless.createSimulation({ seed: 7, levels: levels({}) });
+
+  game.collectibles.collect('key');
+  play(game, 60);
+  assert.strictEqual(game.collectibles.isActive('key'), true);
+  assert.strictEqual(game.collectibles.active()[0].timeLeft, Infinity);
+
+  game.collectibles.collect('shield');
+  game.changeLevel(2);
+  assert.strictEqual(game.collectibles.isActive('key'), false);
+  assert.strictEqual(game.collectibles.isActive('shield'), true);
+});
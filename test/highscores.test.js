@@ -0,0 +1,67 @@
+'use strict';
+
+/* The high score table, kept in memory so no browser is needed. */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+var HighScores = headless.load({ quiet: true, scripts: ['src/assets/js/highscores.js'] }).HighScores;
+
+// A table of the given size holding scores with these points
+function table(size, points) {
+  var highScores = new HighScores({ storage: new HighScores.MemoryStorage(), size: size });
+  points.forEach(function(score, index) {
+    highScores.add({ initials: 'P' + index, points: score, time: 100 });
+  });
+  return highScores;
+}
+
+test('any points make it into a table that is not full yet', function() {
+  var highScores = table(3, [500, 300]);
+
+  assert.strictEqual(highScores.qualifies(1), true);
+  assert.strictEqual(highScores.qualifies(0), false);
+});
+
+test('a full table only takes scores that beat the lowest one', function() {
+  var highScores = table(3, [500, 300, 200]);
+
+  assert.strictEqual(highScores.qualifies(200), false);
+  assert.strictEqual(highScores.qualifies(201), true);
+});
+
+test('scores are ranked best first and the table is trimmed to size', function() {
+  var highScores = table(3, [300, 500, 200]),
+      ranks = [];
+
+  highScores.add({ initials: 'new', points: 400, time: 100 }, function(err, rank) {
+    ranks.push(rank);
+  });
+  highScores.add({ initials: 'low', points: 100, time: 100 }, function(err, rank) {
+    ranks.push(rank);
+  });
+
+  assert.deepStrictEqual(ranks, [1, -1]);
+  assert.strictEqual(highScores.list().map(function(score) {
+    return score.initials + ' ' + score.points;
+  }).join(), 'P1 500,NEW 400,P0 300');
+  assert.strictEqual(highScores.storage.scores.length, 3);
+});
+
+test('the quicker game wins a tie', function() {
+  var highScores = table(3, []),
+      rank;
+
+  highScores.add({ initials: 'SLO', points: 300, time: 200 });
+  highScores.add({ initials: 'FST', points: 300, time: 100 }, function(err, added) {
+    rank = added;
+  });
+  assert.strictEqual(rank, 0);
+  assert.strictEqual(highScores.list()[1].initials, 'SLO');
+});
+
+test('initials are cleaned up to three capitals', function() {
+  assert.strictEqual(HighScores.cleanInitials('a.b-cd'), 'ABC');
+  assert.strictEqual(HighScores.cleanInitials(null), '');
+});
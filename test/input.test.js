@@ -0,0 +1,104 @@
+'use strict';
+
+/* Key bindings, with the page's localStorage swapped for a plain object. */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+// The Input globals with a fresh storage, and an Input that isn't listening to a page
+function setup(stored) {
+  var globals = headless.load({ quiet: true, scripts: ['src/assets/js/settings.js', 'src/assets/js/input.js'] }),
+      items = {};
+
+  Object.keys(stored || {}).forEach(function(key) {
+    items[key] = stored[key];
+  });
+  globals.window = {
+    localStorage: {
+      getItem: function(key) { return items.hasOwnProperty(key) ? items[key] : null; },
+      setItem: function(key, value) { items[key] = String(value); }
+    }
+  };
+
+  var input = Object.create(globals.Input.prototype);
+  input.listeners = {};
+  input.storageKey = 'indieboxer.bindings';
+  input.bindings = input.loadBindings();
+  return { Input: globals.Input, input: input, items: items };
+}
+
+// Bindings as plain data, to compare across sandboxes
+function plain(bindings) {
+  return JSON.parse(JSON.stringify(bindings));
+}
+
+test('every action starts with its default keys', function() {
+  var input = setup().input;
+
+  assert.deepStrictEqual(plain(input.bindings.left), [37, 65]);
+  assert.strictEqual(input.actionFor(87), 'up');
+  assert.strictEqual(input.actionFor(999), null);
+});
+
+test('binding a key takes it away from the other action but leaves its slot', function() {
+  var input = setup().input;
+
+  input.bind('left', 0, 87); // w, up's second key
+  assert.deepStrictEqual(plain(input.bindings.left), [87, 65]);
+  assert.deepStrictEqual(plain(input.bindings.up), [38, null]);
+  assert.strictEqual(input.actionFor(87), 'left');
+  assert.strictEqual(input.actionFor(37), null);
+});
+
+test('a key bound to the second slot stays there when the first is empty', function() {
+  var input = setup().input;
+
+  input.bind('up', 0, 40); // down arrow, leaving down's first slot empty
+  input.bind('down', 1, 68); // d, right's second key
+  assert.deepStrictEqual(plain(input.bindings.down), [null, 68]);
+  assert.deepStrictEqual(plain(input.bindings.right), [39, null]);
+});
+
+test('the slot a key is bound to says which player it is for', function() {
+  var input = setup().input;
+
+  assert.strictEqual(input.playerFor(37), 0);
+  assert.strictEqual(input.playerFor(65), 1);
+  input.bind('up', 0, 40); // down arrow, leaving down's first slot empty
+  input.bind('down', 1, 76);
+  assert.strictEqual(input.playerFor(76), 1);
+  assert.strictEqual(input.playerFor(40), 0);
+  assert.strictEqual(input.playerFor(999), 0);
+});
+
+test('bindings are saved and come back in their slots', function() {
+  var first = setup();
+
+  first.input.bind('up', 1, 40);
+  var second = setup(first.items);
+  assert.deepStrictEqual(plain(second.input.bindings), plain(first.input.bindings));
+  assert.deepStrictEqual(plain(second.input.bindings.down), [null, 83]);
+});
+
+test('broken saved bindings fall back to the defaults', function() {
+  var input = setup({ 'indieboxer.bindings': JSON.stringify({ left: ['x', 65, 66], up: 'w' }) }).input;
+
+  assert.deepStrictEqual(plain(input.bindings.left), [null, 65]);
+  assert.deepStrictEqual(plain(input.bindings.up), [38, 87]);
+});
+
+test('resetting puts the default keys back', function() {
+  var loaded = setup(),
+      input = loaded.input,
+      emitted = 0;
+
+  input.on('bindings', function() {
+    emitted += 1;
+  });
+  input.bind('left', 0, 87);
+  input.resetBindings();
+  assert.strictEqual(emitted, 2);
+  assert.deepStrictEqual(plain(input.bindings), plain(loaded.Input.copyBindings(loaded.Input.DEFAULT_BINDINGS)));
+  assert.deepStrictEqual(plain(input.bindings.quit), [81, null]);
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+/* Enemies share their lanes, these check they never end up on top of each
+ * other however long the game runs.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+// Rounding room, enemies right up against each other still count as apart
+var EPSILON = 1e-9;
+
+// The pairs of enemies in the same lane that take up some of the same stretch
+function overlaps(game) {
+  var found = [];
+
+  game.level.enemyRows.forEach(function(y) {
+    var lane = game.lanes.enemiesIn(y);
+    lane.forEach(function(enemy, index) {
+      lane.slice(index + 1).forEach(function(other) {
+        if(enemy.pos < other.pos + other.width - EPSILON && other.pos < enemy.pos + enemy.width - EPSILON) {
+          found.push('row ' + y + ' at ' + enemy.pos.toFixed(2) + ' and ' + other.pos.toFixed(2));
+        }
+      });
+    });
+  });
+  return found;
+}
+
+test('enemies in a lane never overlap', function() {
+  [1, 2, 3, 4, 5].forEach(function(level) {
+    var game = headless.createSimulation({ seed: level * 31 });
+
+    game.changeLevel(level);
+    for(var frame = 0; frame < 3000; frame++) {
+      game.step();
+      assert.deepStrictEqual(overlaps(game), [], 'level ' + level + ' frame ' + game.frame);
+    }
+  });
+});
+
+test('lanes keep their enemies front to back', function() {
+  var game = headless.createSimulation({ seed: 8 });
+
+  game.changeLevel(5);
+  for(var frame = 0; frame < 2000; frame++) {
+    game.step();
+    game.level.enemyRows.forEach(function(y) {
+      var lane = game.lanes.enemiesIn(y);
+      lane.forEach(function(enemy, index) {
+        assert.strictEqual(game.lanes.ahead(enemy), index > 0 ? lane[index - 1] : null);
+        assert.ok(index === 0 || enemy.pos < lane[index - 1].pos);
+      });
+    });
+  }
+});
+
+test('an enemy queued in a busy lane waits behind the last one', function() {
+  var game = headless.createSimulation({ seed: 9 }),
+      y = game.level.enemyRows[0],
+      lane = game.lanes.enemiesIn(y),
+      last = lane[lane.length - 1],
+      enemy = game.enemies.filter(function(other) {
+        return other.y !== y;
+      })[0];
+
+  game.lanes.remove(enemy);
+  enemy.y = y;
+  game.lanes.add(enemy, { min: 1, max: 1 });
+  assert.strictEqual(game.lanes.ahead(enemy), last);
+  assert.ok(enemy.pos + enemy.width <= last.pos - game.lanes.constructor.GAP + EPSILON);
+});
+
+test('occupancy counts the queued and on board enemies, and changes are sent out', function() {
+  var game = headless.createSimulation({ seed: 10 }),
+      y = game.level.enemyRows[0],
+      sent = [];
+
+  game.on('lanes', function(row, occupancy) {
+    if(row === y) {
+      sent.push(occupancy.queued + occupancy.onBoard);
+    }
+  });
+  for(var frame = 0; frame < 600; frame++) {
+    game.step();
+  }
+
+  var occupancy = game.lanes.occupancy(y);
+  assert.strictEqual(occupancy.queued + occupancy.onBoard, game.lanes.enemiesIn(y).length);
+  assert.ok(sent.length > 0);
+  assert.ok(game.lanes.isClear(y, game.level.cols + 5, game.level.cols + 6));
+  assert.throws(function() {
+    game.lanes.lane(game.level.goalRow);
+  }, /is not an enemy lane/);
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+/* Levels come from a file anyone can edit, so these check that a broken one
+ * is turned away with a message saying what's wrong with it.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+var Level = headless.load({ quiet: true }).Level;
+
+var TILES = { water: 'water.png', stone: 'stone.png', grass: 'grass.png' };
+
+// A small valid level, with some of its fields changed
+function level(changes) {
+  var definition = {
+    name: 'Test Street',
+    cols: 3,
+    rows: [
+      { lane: 'goal', tile: 'water' },
+      { lane: 'enemy', tile: 'stone' },
+      { lane: 'start', tile: 'grass' }
+    ],
+    enemies: { count: 2, speed: { min: 1, max: 2 } }
+  };
+  Object.keys(changes || {}).forEach(function(key) {
+    definition[key] = changes[key];
+  });
+  return { tiles: TILES, levels: [definition] };
+}
+
+test('the shipped levels load', function() {
+  var levels = Level.loadAll(headless.loadLevels());
+
+  assert.ok(levels.length > 0);
+  levels.forEach(function(loaded) {
+    assert.ok(loaded.contains(loaded.start.x, loaded.start.y));
+  });
+});
+
+test('a valid level starts the player in the middle of the bottom row', function() {
+  var loaded = Level.loadAll(level())[0];
+
+  assert.strictEqual(loaded.goalRow, 0);
+  assert.strictEqual(loaded.enemyRows.join(), '1');
+  assert.strictEqual(loaded.start.x, 1);
+  assert.strictEqual(loaded.start.y, 2);
+  assert.strictEqual(loaded.rows[0].image, 'water.png');
+});
+
+test('a file without levels is turned away', function() {
+  assert.throws(function() { Level.loadAll(null); }, /has no levels/);
+  assert.throws(function() { Level.loadAll({ tiles: TILES, levels: [] }); }, /has no levels/);
+});
+
+test('unknown lanes and tiles are turned away', function() {
+  assert.throws(function() {
+    Level.loadAll(level({ rows: [{ lane: 'goal', tile: 'water' }, { lane: 'river', tile: 'stone' }] }));
+  }, /Level "Test Street" row 1 has an unknown lane "river"/);
+  assert.throws(function() {
+    Level.loadAll(level({ rows: [{ lane: 'goal', tile: 'lava' }] }));
+  }, /row 0 has an unknown tile "lava"/);
+});
+
+test('a level without a board, goal or enemy lane is turned away', function() {
+  assert.throws(function() { Level.loadAll(level({ cols: 0 })); }, /needs cols and at least one row/);
+  assert.throws(function() { Level.loadAll(level({ rows: [] })); }, /needs cols and at least one row/);
+  assert.throws(function() {
+    Level.loadAll(level({ rows: [{ lane: 'enemy', tile: 'stone' }, { lane: 'start', tile: 'grass' }] }));
+  }, /needs a goal lane and at least one enemy lane/);
+  assert.throws(function() {
+    Level.loadAll(level({ rows: [{ lane: 'goal', tile: 'water' }, { lane: 'start', tile: 'grass' }] }));
+  }, /needs a goal lane and at least one enemy lane/);
+});
+
+test('a level without enemies or their speed is turned away', function() {
+  assert.throws(function() {
+    Level.loadAll(level({ enemies: undefined }));
+  }, /Level "Test Street" needs enemies with a count and a speed from min to max/);
+  assert.throws(function() {
+    Level.loadAll(level({ enemies: { count: 2 } }));
+  }, /needs enemies with a count and a speed/);
+  assert.throws(function() {
+    Level.loadAll(level({ enemies: { count: 2, speed: { min: 3, max: 1 } } }));
+  }, /needs enemies with a count and a speed/);
+});
+
+test('a start off the board is turned away', function() {
+  assert.throws(function() {
+    Level.loadAll(level({ start: { x: 3, y: 2 } }));
+  }, /starts the player off the board/);
+});
+
+test('rules left out of a level fall back to the defaults', function() {
+  var loaded = Level.loadAll(level())[0];
+
+  assert.strictEqual(loaded.moveSpeed, Level.DEFAULTS.moveSpeed);
+  assert.strictEqual(loaded.boxesToAdvance, null);
+  assert.deepStrictEqual(Object.keys(loaded.collectibles), ['heart']);
+  assert.strictEqual(loaded.collectibles.heart.every, Level.DEFAULTS.collectibles.heart.every);
+  assert.strictEqual(loaded.collectibles.heart.lasts, Level.DEFAULTS.collectibles.heart.lasts);
+});
+
+test('collectibles that outlast their wait are turned away', function() {
+  assert.throws(function() {
+    Level.loadAll(level({ collectibles: { shield: { every: 5, lasts: 5 } } }));
+  }, /needs shield collectibles to last less time than they take to show up/);
+  assert.throws(function() {
+    Level.loadAll(level({ hearts: { every: 5, lasts: 5 } }));
+  }, /needs heart collectibles to last less time than they take to show up/);
+  assert.strictEqual(Object.keys(Level.loadAll(level({ hearts: { every: 0 } }))[0].collectibles).length, 0);
+});
+
+test('unknown collectibles and keys without a shortcut are turned away', function() {
+  assert.throws(function() {
+    Level.loadAll(level({ collectibles: { magnet: { every: 10, lasts: 5 } } }));
+  }, /has an unknown collectible "magnet"/);
+  assert.throws(function() {
+    Level.loadAll(level({ collectibles: { key: { every: 10, lasts: 5 } } }));
+  }, /can't have "key" collectibles/);
+  assert.throws(function() {
+    Level.loadAll(level({ shortcut: { from: { x: 0, y: 2 }, to: { x: 5, y: 1 } } }));
+  }, /has a shortcut off the board/);
+});
+
+test('delivering enough boxes moves the player up a level', function() {
+  var game = headless.createSimulation({ seed: 3 }),
+      levels = [];
+
+  game.on('level', function(number, next) {
+    levels.push(number + ' ' + next.name);
+  });
+  game.levelDeliveries = game.level.boxesToAdvance;
+  game.player.checkLevel();
+
+  assert.deepStrictEqual(levels, ['2 Side Streets']);
+  assert.strictEqual(game.player.level, 2);
+  assert.strictEqual(game.levelDeliveries, 0);
+  assert.strictEqual(game.player.moveSpeed, game.level.moveSpeed);
+  assert.strictEqual(game.player.x, game.level.start.x);
+  assert.strictEqual(game.player.y, game.level.start.y);
+});
+
+test('levels past the last one keep its rules', function() {
+  var game = headless.createSimulation({ seed: 3 }),
+      last = game.levels[game.levels.length - 1];
+
+  game.changeLevel(game.levels.length + 3);
+  assert.strictEqual(game.level, last);
+  assert.strictEqual(game.player.level, game.levels.length + 3);
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+/* The online client shows the server's game a little behind, moving things
+ * smoothly between the states it gets. These hand it states from a game
+ * run right here instead of a server.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+var globals = headless.load({ quiet: true, scripts: ['src/assets/js/network.js'] }),
+    NetworkClient = globals.NetworkClient,
+    levels = headless.loadLevels(),
+    characters = headless.loadCharacters();
+
+// A game's state as plain data, to change and compare outside its sandbox
+function state(game) {
+  return JSON.parse(JSON.stringify(game.getState()));
+}
+
+// Two states of a game a step apart, with the second changed
+function states(change) {
+  var game = headless.createSimulation({ seed: 3, characters: ['boy', 'cat-girl'], mode: 'versus' }),
+      from = state(game),
+      to;
+
+  game.step();
+  to = state(game);
+  change(from, to);
+  return { from: from, to: to };
+}
+
+test('players and enemies are moved part of the way between states', function() {
+  var both = states(function(from, to) {
+    from.players[0].x = 1;
+    to.players[0].x = 2;
+    from.players[1].y = 4;
+    to.players[1].y = 3;
+    from.enemies[0].x = 0.5;
+    to.enemies[0].x = 1;
+  });
+  var shown = NetworkClient.interpolate(both.from, both.to, 0.25);
+
+  assert.strictEqual(shown.players[0].x, 1.25);
+  assert.strictEqual(shown.players[0].y, both.to.players[0].y);
+  assert.strictEqual(shown.players[1].y, 3.75);
+  assert.strictEqual(shown.enemies[0].x, 0.625);
+});
+
+test('things that jumped are put where they ended up', function() {
+  var both = states(function(from, to) {
+    from.players[0].x = 0;
+    to.players[0].x = 3;
+    from.enemies[0].x = 5;
+    to.enemies[0].x = -1;
+    from.enemies[1].x = 1;
+    to.enemies[1].x = 1.5;
+    to.enemies[1].type = from.enemies[1].type + '-new';
+  });
+  var shown = NetworkClient.interpolate(both.from, both.to, 0.5);
+
+  assert.strictEqual(shown.players[0].x, 3);
+  assert.strictEqual(shown.enemies[0].x, -1);
+  assert.strictEqual(shown.enemies[1].x, 1.5);
+});
+
+test('a new level is shown as it is', function() {
+  var both = states(function(from, to) {
+    from.players[0].x = 1;
+    to.players[0].x = 2;
+    to.players[0].level = from.players[0].level + 1;
+  });
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(NetworkClient.interpolate(both.from, both.to, 0.5))), both.to);
+});
+
+test('carried boxes go with their player and t is kept between 0 and 1', function() {
+  var both = states(function(from, to) {
+    from.players[1].x = 2;
+    to.players[1].x = 3;
+    to.boxes[0].carrier = 1;
+    to.boxes[0].x = 3;
+    to.boxes[0].y = to.players[1].y;
+  });
+
+  assert.strictEqual(NetworkClient.interpolate(both.from, both.to, 0.5).boxes[0].x, 2.5);
+  assert.strictEqual(NetworkClient.interpolate(both.from, both.to, -1).players[1].x, 2);
+  assert.strictEqual(NetworkClient.interpolate(both.from, both.to, 4).players[1].x, 3);
+});
+
+test('the game is shown between the states either side of a moment ago', function() {
+  var client = new NetworkClient(globals.Level.loadAll(levels), globals.Character.loadAll(characters)),
+      both = states(function(from, to) {
+        from.players[0].x = 1;
+        to.players[0].x = 2;
+      }),
+      now = Date.now() / 1000,
+      shown = [];
+
+  client.on('start', function(game, player) {
+    shown.push('start ' + player + ' ' + game.players.length);
+  });
+  client.on('state', function(game) {
+    shown.push('state ' + game.players[0].x);
+  });
+
+  client.update();
+  client.receive({ type: 'start', seed: 3, mode: 'versus', players: ['boy', 'cat-girl'], player: 1 });
+  client.update();
+  client.receive({ type: 'state', state: both.from });
+  client.receive({ type: 'state', state: both.to });
+  assert.strictEqual(client.snapshots.length, 2);
+
+  // Half way between the two, DELAY seconds ago
+  client.snapshots[0].time = now - NetworkClient.DELAY - 0.1;
+  client.snapshots[1].time = now - NetworkClient.DELAY + 0.1;
+  client.update();
+  assert.strictEqual(shown.length, 2);
+  assert.strictEqual(shown[0], 'start 1 2');
+  assert.ok(Math.abs(parseFloat(shown[1].slice(6)) - 1.5) < 0.05, shown[1]);
+});
+
+test('only the latest states are kept', function() {
+  var client = new NetworkClient(globals.Level.loadAll(levels), globals.Character.loadAll(characters)),
+      both = states(function() {});
+
+  client.receive({ type: 'state', state: both.to });
+  assert.strictEqual(client.snapshots.length, 0);
+
+  client.receive({ type: 'start', seed: 3, mode: 'versus', players: ['boy', 'cat-girl'], player: 0 });
+  for(var i = 0; i < NetworkClient.SNAPSHOTS + 5; i++) {
+    client.receive({ type: 'state', state: both.to });
+  }
+  assert.strictEqual(client.snapshots.length, NetworkClient.SNAPSHOTS);
+});
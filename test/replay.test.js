@@ -0,0 +1,98 @@
+'use strict';
+
+/* A replay is only a seed and the inputs, so these check that playing one
+ * back ends up exactly where the recorded game did.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+var DIRECTIONS = ['left', 'up', 'right', 'down'];
+var LEVELS = headless.loadLevels();
+
+// A game's state as plain data, to compare across sandboxes
+function state(game) {
+  return JSON.parse(JSON.stringify(game.getState()));
+}
+
+// Record a game played for some frames, returns the game and the stopped replay
+function record(globals, options, frames) {
+  var game = new globals.Simulation(options),
+      replay = globals.Replay.record(game);
+
+  for(var frame = 0; frame < frames; frame++) {
+    if(frame % 17 === 0) {
+      game.input(DIRECTIONS[(frame / 17) % DIRECTIONS.length]);
+    }
+    game.step();
+  }
+  return { game: game, replay: replay.stop() };
+}
+
+test('a saved replay plays back to the state the game was recorded in', function() {
+  var globals = headless.load({ quiet: true }),
+      recorded = record(globals, { seed: 11, levels: LEVELS }, 4000),
+      player = new globals.ReplayPlayer(globals.Replay.load(recorded.replay.save()), { levels: LEVELS });
+
+  while(!player.finished()) {
+    player.stepFrame();
+  }
+  assert.deepStrictEqual(state(player.game), state(recorded.game));
+});
+
+test('a timed game plays back in its time mode', function() {
+  var globals = headless.load({ quiet: true }),
+      recorded = record(globals, { seed: 11, levels: LEVELS, timeMode: 'countdown' }, 4000),
+      replay = globals.Replay.load(recorded.replay.save()),
+      player = new globals.ReplayPlayer(replay, { levels: LEVELS });
+
+  assert.strictEqual(replay.timeMode, 'countdown');
+  while(!player.finished()) {
+    player.stepFrame();
+  }
+  assert.strictEqual(player.game.timeMode, 'countdown');
+  assert.deepStrictEqual(state(player.game), state(recorded.game));
+});
+
+test('seeking back and forth lands on the same state as playing through', function() {
+  var globals = headless.load({ quiet: true }),
+      recorded = record(globals, { seed: 12, levels: LEVELS }, 1200),
+      player = new globals.ReplayPlayer(recorded.replay, { levels: LEVELS }),
+      other = new globals.ReplayPlayer(recorded.replay, { levels: LEVELS }),
+      middle;
+
+  player.seek(600);
+  middle = state(player.game);
+  player.seek(1100);
+  player.seek(600);
+  assert.strictEqual(player.game.frame, 600);
+  assert.deepStrictEqual(state(player.game), middle);
+
+  while(other.game.frame < 600) {
+    other.stepFrame();
+  }
+  assert.deepStrictEqual(state(other.game), middle);
+});
+
+test('replays from another version or step are turned away', function() {
+  var globals = headless.load({ quiet: true }),
+      step = globals.Simulation.STEP;
+
+  assert.throws(function() {
+    globals.Replay.load({ version: globals.Replay.VERSION + 1, seed: 1, step: step, frames: 0, inputs: [] });
+  }, /Unsupported replay version/);
+  assert.throws(function() {
+    globals.Replay.load({ version: globals.Replay.VERSION, seed: 1, step: step * 2, frames: 0, inputs: [] });
+  }, /different simulation step/);
+});
+
+test('replays from earlier versions are turned away', function() {
+  var globals = headless.load({ quiet: true });
+
+  for(var version = 1; version < globals.Replay.VERSION; version++) {
+    assert.throws(function() {
+      globals.Replay.load({ version: version, seed: 1, step: globals.Simulation.STEP, frames: 0, inputs: [] });
+    }, /Unsupported replay version/);
+  }
+});
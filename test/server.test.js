@@ -0,0 +1,176 @@
+'use strict';
+
+/* Runs the game server on a free port and talks to it like the browsers do. */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var WebSocket = require('ws');
+var GameServer = require('../lib/server').GameServer;
+
+/* A connection to the server that keeps every message it gets, so a test
+ * can wait for the next one of a type.
+ */
+function connect(server) {
+  var socket = new WebSocket('ws://localhost:' + server.port()),
+      messages = [],
+      waiting = [];
+
+  socket.on('message', function(data) {
+    var message = JSON.parse(String(data));
+
+    messages.push(message);
+    waiting = waiting.filter(function(wait) {
+      if(wait.type === message.type) {
+        wait.resolve(message);
+        return false;
+      }
+      return true;
+    });
+  });
+
+  return new Promise(function(resolve, reject) {
+    socket.on('open', function() {
+      resolve({
+        socket: socket,
+        messages: messages,
+        send: function(message) {
+          socket.send(JSON.stringify(message));
+        },
+        next: function(type) {
+          return new Promise(function(resolve) {
+            waiting.push({ type: type, resolve: resolve });
+          });
+        },
+        close: function() {
+          socket.close();
+        }
+      });
+    });
+    socket.on('error', reject);
+  });
+}
+
+// A server listening on a free port
+function listen() {
+  var server = new GameServer({ port: 0, quiet: true });
+
+  return new Promise(function(resolve) {
+    server.socketServer.on('listening', function() {
+      resolve(server);
+    });
+  });
+}
+
+test('players join a room, start a game and end it by leaving', async function() {
+  var server = await listen(),
+      alice = await connect(server),
+      bob = await connect(server),
+      room,
+      rooms,
+      start,
+      ended,
+      sent;
+
+  try {
+    room = alice.next('room');
+    alice.send({ type: 'join', room: 'den', name: 'Alice', character: 'boy', mode: 'versus' });
+    assert.strictEqual((await room).player, 0);
+
+    room = bob.next('room');
+    bob.send({ type: 'join', room: 'den', name: 'Bob', character: 'cat-girl' });
+    room = await room;
+    assert.strictEqual(room.player, 1);
+    assert.deepStrictEqual(room.room.players.map(function(player) {
+      return player.name;
+    }), ['Alice', 'Bob']);
+
+    // Only the first player can start the game
+    start = bob.next('error');
+    bob.send({ type: 'start' });
+    assert.match((await start).message, /first player/);
+
+    start = bob.next('start');
+    alice.send({ type: 'start' });
+    start = await start;
+    assert.strictEqual(start.mode, 'versus');
+    assert.deepStrictEqual(start.players, ['boy', 'cat-girl']);
+    assert.strictEqual(start.player, 1);
+    await bob.next('state');
+
+    ended = alice.next('ended');
+    room = alice.next('room');
+    sent = bob.messages.length;
+    bob.send({ type: 'leave' });
+    ended = await ended;
+    assert.strictEqual(ended.results.reason, 'Bob left');
+    assert.strictEqual(ended.results.players.length, 2);
+    room = await room;
+    assert.strictEqual(room.room.players.length, 1);
+    assert.strictEqual(room.room.playing, false);
+
+    // Bob has left, so they aren't told about the room any more
+    rooms = bob.next('rooms');
+    bob.send({ type: 'rooms' });
+    await rooms;
+    assert.strictEqual(bob.messages.slice(sent).some(function(message) {
+      return message.type === 'room';
+    }), false);
+  } finally {
+    alice.close();
+    bob.close();
+    await new Promise(function(resolve) {
+      server.close(resolve);
+    });
+  }
+});
+
+test('a full room turns players away', async function() {
+  var server = await listen(),
+      clients = [await connect(server), await connect(server), await connect(server)],
+      error;
+
+  try {
+    clients[0].send({ type: 'join', room: 'den', name: 'A', character: 'boy' });
+    await clients[0].next('room');
+    clients[1].send({ type: 'join', room: 'den', name: 'B', character: 'boy' });
+    await clients[1].next('room');
+
+    error = clients[2].next('error');
+    clients[2].send({ type: 'join', room: 'den', name: 'C', character: 'boy' });
+    assert.match((await error).message, /full/);
+
+    // Turned away from a full room, C stays in the one they're in
+    clients[2].send({ type: 'join', room: 'attic', name: 'C', character: 'boy' });
+    await clients[2].next('room');
+    error = clients[2].next('error');
+    clients[2].send({ type: 'join', room: 'den', name: 'C', character: 'boy' });
+    assert.match((await error).message, /full/);
+    assert.strictEqual(server.rooms.attic.clients.length, 1);
+  } finally {
+    clients.forEach(function(client) {
+      client.close();
+    });
+    await new Promise(function(resolve) {
+      server.close(resolve);
+    });
+  }
+});
+
+test('rooms can have any name, even ones an object already has', async function() {
+  var server = await listen(),
+      client = await connect(server),
+      room;
+
+  try {
+    room = client.next('room');
+    client.send({ type: 'join', room: 'constructor', name: 'Alice', character: 'boy' });
+    room = await room;
+    assert.strictEqual(room.room.name, 'constructor');
+    assert.strictEqual(room.room.players.length, 1);
+  } finally {
+    client.close();
+    await new Promise(function(resolve) {
+      server.close(resolve);
+    });
+  }
+});
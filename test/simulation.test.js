@@ -0,0 +1,79 @@
+'use strict';
+
+/* The simulation has to play out the same every time for replays to work,
+ * so these run games headless and compare them.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+var DIRECTIONS = ['left', 'up', 'right', 'down'];
+
+// A game's state as plain data, each game has its own sandbox with its own Object to compare by
+function state(game) {
+  return JSON.parse(JSON.stringify(game.getState()));
+}
+
+// Play a game for some frames with a fixed stream of inputs, returns its final state
+function play(options, frames) {
+  var game = headless.createSimulation(options);
+
+  for(var frame = 0; frame < frames; frame++) {
+    if(frame % 13 === 0) {
+      game.input(DIRECTIONS[(frame / 13) % DIRECTIONS.length], (frame / 13) % game.players.length);
+    }
+    game.step();
+  }
+  return state(game);
+}
+
+test('the same seed and inputs end in the same state', function() {
+  var options = { seed: 42, quiet: true };
+  assert.deepStrictEqual(play(options, 3000), play(options, 3000));
+});
+
+test('two player games are deterministic too', function() {
+  var options = { seed: 7, characters: ['boy', 'cat-girl'], mode: 'versus', quiet: true };
+  assert.deepStrictEqual(play(options, 3000), play(options, 3000));
+});
+
+test('a different seed plays out differently', function() {
+  assert.notDeepStrictEqual(play({ seed: 1, quiet: true }, 600), play({ seed: 2, quiet: true }, 600));
+});
+
+test('advance() runs the same fixed steps however the time is handed to it', function() {
+  var stepped = headless.createSimulation({ seed: 5, quiet: true }),
+      advanced = headless.createSimulation({ seed: 5, quiet: true }),
+      frame;
+
+  for(frame = 0; frame < 600; frame++) {
+    stepped.step();
+  }
+  // Ten seconds in uneven slices, with a little over to be sure of the last step
+  [0.005, 0.3, 1.7, 0.016, 4, 3.979, 0.001].forEach(function(dt) {
+    advanced.advance(dt);
+  });
+  assert.strictEqual(advanced.frame, 600);
+  assert.deepStrictEqual(state(advanced), state(stepped));
+});
+
+test('advance() stops stepping once it\'s told to', function() {
+  var game = headless.createSimulation({ seed: 5, quiet: true });
+
+  game.advance(1, function() {
+    return game.frame >= 10;
+  });
+  assert.strictEqual(game.frame, 10);
+});
+
+test('reset() starts the same game over', function() {
+  var game = headless.createSimulation({ seed: 9, quiet: true }),
+      start = state(game);
+
+  for(var frame = 0; frame < 500; frame++) {
+    game.step();
+  }
+  game.reset();
+  assert.deepStrictEqual(state(game), start);
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+/* Adding up finished games for the stats page. */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var headless = require('../lib/headless');
+
+var globals = headless.load({ quiet: true, scripts: ['src/assets/js/highscores.js', 'src/assets/js/stats.js'] }),
+    Stats = globals.Stats;
+
+// A session with some of its fields changed
+function session(changes) {
+  var kept = {
+    date: '2017-02-01T12:00:00.000Z',
+    mode: 'single',
+    characters: ['boy'],
+    points: 0,
+    level: 1,
+    time: 60,
+    saved: 0,
+    lost: 0,
+    moves: 0,
+    deliverySeconds: 0,
+    deaths: [],
+    losses: []
+  };
+  Object.keys(changes).forEach(function(key) {
+    kept[key] = changes[key];
+  });
+  return kept;
+}
+
+// Plain data, to compare across sandboxes
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+test('a summary adds up every session', function() {
+  var summary = Stats.summarize([
+    session({ date: 'monday', points: 300, saved: 3, lost: 1, deliverySeconds: 12 }),
+    session({ date: 'tuesday', points: 500, saved: 5, lost: 0, deliverySeconds: 20 })
+  ]);
+
+  assert.strictEqual(summary.games, 2);
+  assert.strictEqual(summary.points, 800);
+  assert.strictEqual(summary.saved, 8);
+  assert.strictEqual(summary.lost, 1);
+  assert.strictEqual(summary.averageDeliveryTime, 4);
+  assert.deepStrictEqual(plain(summary.trend), [
+    { date: 'monday', points: 300, saved: 3, lost: 1 },
+    { date: 'tuesday', points: 500, saved: 5, lost: 0 }
+  ]);
+});
+
+test('a summary without deliveries has no average delivery time', function() {
+  var summary = Stats.summarize([]);
+
+  assert.strictEqual(summary.games, 0);
+  assert.strictEqual(summary.averageDeliveryTime, null);
+  assert.strictEqual(summary.lanes.length, 0);
+});
+
+test('lanes are listed most dangerous first and deaths are mapped by tile', function() {
+  var summary = Stats.summarize([
+    session({
+      deaths: [{ level: 1, x: 2, y: 3 }, { level: 1, x: 2, y: 3 }, { level: 2, x: 0, y: 1 }],
+      losses: [{ level: 1, x: 4, y: 2 }]
+    }),
+    session({
+      deaths: [{ level: 1, x: 1, y: 3 }],
+      losses: [{ level: 1, x: 0, y: 2 }, { level: 2, x: 3, y: 1 }]
+    })
+  ]);
+
+  assert.deepStrictEqual(plain(summary.lanes), [
+    { level: 1, row: 3, deaths: 3, lost: 0 },
+    { level: 2, row: 1, deaths: 1, lost: 1 },
+    { level: 1, row: 2, deaths: 0, lost: 2 }
+  ]);
+  assert.deepStrictEqual(plain(summary.heatmap), {
+    1: { '2,3': 2, '1,3': 1 },
+    2: { '0,1': 1 }
+  });
+});
+
+test('only the latest sessions are kept', function() {
+  var stats = new Stats({ storage: new globals.HighScores.MemoryStorage(), size: 2 });
+
+  stats.add(session({ points: 1 }));
+  stats.add(session({ points: 2 }));
+  stats.add(session({ points: 3 }));
+  assert.strictEqual(stats.list().map(function(kept) {
+    return kept.points;
+  }).join(), '2,3');
+  assert.strictEqual(stats.storage.scores.length, 2);
+
+  stats.clear();
+  assert.strictEqual(stats.list().length, 0);
+});
+
+test('a session is made from what the game logged', function() {
+  var game = new globals.Simulation({ seed: 4, levels: headless.loadLevels(), characters: [
+        globals.Character.find(globals.Character.loadAll(headless.loadCharacters()), 'boy')
+      ] }),
+      made;
+
+  for(var frame = 0; frame < 600; frame++) {
+    if(frame % 20 === 0) {
+      game.input(['up', 'left', 'down', 'right'][(frame / 20) % 4]);
+    }
+    game.step();
+  }
+  made = Stats.session(game);
+
+  assert.strictEqual(made.mode, game.mode);
+  assert.deepStrictEqual(plain(made.characters), ['boy']);
+  assert.strictEqual(made.points, game.points);
+  assert.strictEqual(made.moves, game.player.movements.length);
+  assert.ok(made.moves > 0);
+  assert.strictEqual(made.saved, game.player.deliveries.length);
+  assert.strictEqual(made.deaths.length, game.player.deaths.length);
+});